@@ -0,0 +1,287 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GLX PARTNERS - CAMADA DE EVENTOS DE ANALYTICS (FUNIL DE CONVERSÃO)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * PROPÓSITO (WHY):
+ * -----------------
+ * `window.trackEvent` era uma função inline no index.html que repassava tudo
+ * para o gtag, sem catálogo: cada módulo inventava nome e parâmetros, e início
+ * de formulário, abandono de campo, uso da calculadora, materiais e cliques no
+ * WhatsApp não eram medidos. Agora todo evento passa por este barramento:
+ *
+ *   trackEvent(nome, params) → valida no catálogo → fila de consentimento → sinks
+ *
+ * CATÁLOGO:
+ * ---------
+ * `ANALYTICS_EVENTS` abaixo é a documentação oficial dos eventos. Evento fora
+ * do catálogo ou parâmetro com tipo errado é descartado com console.warn, para
+ * o erro aparecer no desenvolvimento e não no relatório. Tipos: 'string',
+ * 'number', 'boolean'; sufixo '?' marca parâmetro opcional (aceita null).
+ *
+ * SINKS (ANALYTICS_CONFIG.sinks):
+ * -------------------------------
+ * | Sink     | Destino                                         | Precisa de consentimento |
+ * |----------|-------------------------------------------------|--------------------------|
+ * | gtag     | Google Analytics 4 (window.gtag)                | sim                      |
+ * | endpoint | POST em lote para `endpoint.url` (sendBeacon)   | sim                      |
+ * | console  | console.log, ativado com ?analytics_debug=1     | não (nada sai da página) |
+ *
+ * CONSENTIMENTO:
+ * --------------
+ * Sem gerenciador de consentimento na página os eventos seguem direto para os
+ * sinks. O js/consent-manager.js, carregado logo depois deste arquivo, chama
+ * `analytics.requireConsent()` enquanto não há escolha: daí até
+ * `analytics.setConsent(true)` os eventos ficam numa fila em memória
+ * (até `maxQueue`); com `setConsent(false)` a fila é descartada.
+ *
+ * FUNIS:
+ * ------
+ * `analytics.funnel(funil, etapa)` emite `funnel_step` uma vez por etapa e por
+ * página. Etapas fora da definição do funil são ignoradas (ex: EMAIL_CONFIRM).
+ * - chatbot            → estados da Luna; redefinido a partir de
+ *                        data/luna-flow.json quando o fluxo carrega
+ * - formulario_contato → definido pelo js/multi-step-form.js a partir das
+ *                        etapas de data/contact-form.json
+ */
+
+const ANALYTICS_EVENTS = {
+    // Funil
+    funnel_step: { categoria: 'funil', descricao: 'Visitante chegou a uma etapa do funil', params: { funil: 'string', etapa: 'string', indice: 'number', total: 'number' } },
+
+    // Formulário de contato (js/multi-step-form.js)
+    form_started: { categoria: 'formulario', descricao: 'Primeira interação com um formulário', params: { formulario: 'string' } },
+    form_field_abandoned: { categoria: 'formulario', descricao: 'Saiu da página com o formulário começado; último campo tocado', params: { formulario: 'string', campo: 'string', etapa: 'string?' } },
+    contact_step_completed: { categoria: 'formulario', descricao: 'Etapa do formulário validada', params: { etapa: 'string', indice: 'number' } },
+    contact_draft_restored: { categoria: 'formulario', descricao: 'Rascunho do formulário retomado', params: { etapa: 'string' } },
+
+    // Luna (js/animations.js)
+    chatbot_opened: { categoria: 'chatbot', descricao: 'Janela da Luna aberta', params: {} },
+    chatbot_initiated: { categoria: 'chatbot', descricao: 'Fluxo de captação iniciado', params: { timestamp: 'string' } },
+    chatbot_faq_answered: { categoria: 'chatbot', descricao: 'Luna respondeu com conteúdo do site (FAQ, serviços, cases)', params: { tipo: 'string', item: 'string', score: 'number' } },
+    chatbot_session_resumed: { categoria: 'chatbot', descricao: 'Conversa interrompida retomada ou reiniciada após recarregar', params: { escolha: 'string', estado: 'string' } },
+    email_suggestion_accepted: { categoria: 'lead', descricao: 'Aceitou a correção sugerida do e-mail', params: { dominio: 'string' } },
+
+    // Lead
+    lead_submitted: { categoria: 'lead', descricao: 'Lead enviado (ou salvo na fila offline)', params: { protocol: 'string', source: 'string', challenge: 'string?' } },
+    lead_routed: { categoria: 'lead', descricao: 'Destino escolhido pelas regras de roteamento', params: { destino: 'string', score: 'number?' } },
+    lead_outbox_resent: { categoria: 'lead', descricao: 'Lead da fila offline reenviado', params: { attempts: 'number' } },
+    lead_outbox_failed: { categoria: 'lead', descricao: 'Lead da fila offline desistido (recusa definitiva ou tentativas esgotadas)', params: { attempts: 'number', status: 'number?' } },
+    spam_blocked: { categoria: 'lead', descricao: 'Envio barrado pelo anti-spam', params: { channel: 'string', reason: 'string' } },
+    meeting_booked: { categoria: 'lead', descricao: 'Horário de reunião escolhido no thank-you', params: { backend: 'string', status: 'string' } },
+    meeting_ics_downloaded: { categoria: 'lead', descricao: 'Convite .ics baixado', params: { protocolo: 'string' } },
+
+    // Engajamento
+    calculator_used: { categoria: 'engajamento', descricao: 'Primeiro ajuste na calculadora', params: { campo: 'string' } },
+    calculator_report_exported: { categoria: 'engajamento', descricao: 'Relatório da calculadora exportado', params: { scenarios: 'number' } },
+    material_download: { categoria: 'engajamento', descricao: 'Material da pasta baixado', params: { material: 'string' } },
+    whatsapp_click: { categoria: 'engajamento', descricao: 'Clique em link do WhatsApp', params: { origem: 'string' } }
+};
+
+const ANALYTICS_FUNNELS = {
+    chatbot: ['aberto', 'NAME', 'ROLE', 'EMAIL', 'DESAFIO', 'DUVIDA', 'enviado']
+};
+
+const ANALYTICS_CONFIG = {
+    sinks: ['gtag'],
+    requireConsent: false, // true retém desde o início; o js/consent-manager.js liga via requireConsent()
+    maxQueue: 100,
+    endpoint: {
+        url: '',        // ex: '/api/events' (mesma origem: já permitido pela CSP)
+        batchSize: 10
+    }
+};
+
+const AnalyticsSinks = {
+    gtag: {
+        requiresConsent: true,
+        send(event) {
+            if (typeof window.gtag === 'function') {
+                window.gtag('event', event.name, event.params);
+            }
+        }
+    },
+
+    endpoint: {
+        requiresConsent: true,
+        buffer: [],
+
+        send(event, config) {
+            if (!config.endpoint.url) return;
+            this.buffer.push(event);
+            // Página saindo (visibilityState já é 'hidden' no pagehide): envia o que tiver
+            if (this.buffer.length >= config.endpoint.batchSize || document.visibilityState === 'hidden') {
+                this.flush(config);
+            }
+        },
+
+        flush(config) {
+            if (!this.buffer.length || !config.endpoint.url) return;
+            const body = JSON.stringify({ events: this.buffer.splice(0), meta: { page: window.location.pathname } });
+            if (navigator.sendBeacon && navigator.sendBeacon(config.endpoint.url, new Blob([body], { type: 'application/json' }))) return;
+            fetch(config.endpoint.url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body, keepalive: true })
+                .catch(error => console.error('[Analytics] Falha ao enviar eventos:', error));
+        }
+    },
+
+    console: {
+        requiresConsent: false,
+        send(event) {
+            console.log(`📊 [analytics] ${event.name}`, event.params);
+        }
+    }
+};
+
+class AnalyticsBus {
+    constructor(config = ANALYTICS_CONFIG) {
+        this.config = config;
+        this.consent = config.requireConsent ? 'pending' : 'granted';
+        this.queue = [];
+        this.funnels = { ...ANALYTICS_FUNNELS };
+        this.funnelProgress = {};
+        this.debug = new URLSearchParams(window.location.search).get('analytics_debug') === '1';
+        this.sinkNames = this.debug ? [...new Set(config.sinks.concat('console'))] : config.sinks;
+    }
+
+    init() {
+        // Cliques em links do WhatsApp (botões do site e links gerados pela Luna)
+        document.addEventListener('click', (event) => {
+            const link = event.target.closest && event.target.closest('a[href*="wa.me"], a[href*="api.whatsapp.com"]');
+            if (!link) return;
+            const container = link.parentElement && link.parentElement.closest('[id]');
+            this.track('whatsapp_click', { origem: link.dataset.analyticsOrigem || link.id || (container ? container.id : 'link') });
+        });
+
+        window.addEventListener('pagehide', () => {
+            if (this.consent === 'granted') AnalyticsSinks.endpoint.flush(this.config);
+        });
+    }
+
+    /**
+     * Confere o evento contra o catálogo
+     * @returns {string|null} Motivo da rejeição ou null se válido
+     */
+    static validate(name, params) {
+        const definition = ANALYTICS_EVENTS[name];
+        if (!definition) return `evento "${name}" fora do catálogo (js/analytics.js)`;
+
+        for (const [param, spec] of Object.entries(definition.params)) {
+            const optional = spec.endsWith('?');
+            const type = spec.replace('?', '');
+            const value = params[param];
+            if (value === undefined || value === null) {
+                if (!optional) return `"${name}" sem o parâmetro obrigatório "${param}"`;
+                continue;
+            }
+            if (typeof value !== type) return `"${name}.${param}" deveria ser ${type}, recebeu ${typeof value}`;
+        }
+        const unknown = Object.keys(params).find(param => !(param in definition.params));
+        if (unknown) return `"${name}" com parâmetro fora do catálogo: "${unknown}"`;
+        return null;
+    }
+
+    /**
+     * Registra um evento do catálogo
+     * @param {string} name - Chave de ANALYTICS_EVENTS
+     * @param {Object} params
+     * @returns {boolean} false se o evento foi rejeitado pelo catálogo
+     */
+    track(name, params = {}) {
+        const invalid = AnalyticsBus.validate(name, params);
+        if (invalid) {
+            console.warn(`[Analytics] Evento descartado: ${invalid}`);
+            return false;
+        }
+
+        const event = {
+            name,
+            params,
+            categoria: ANALYTICS_EVENTS[name].categoria,
+            timestamp: new Date().toISOString()
+        };
+
+        this.dispatch(event, sink => !sink.requiresConsent || this.consent === 'granted');
+        if (this.consent === 'pending') {
+            this.queue.push(event);
+            if (this.queue.length > this.config.maxQueue) this.queue.shift();
+        }
+        return true;
+    }
+
+    dispatch(event, filter) {
+        this.sinkNames.forEach(sinkName => {
+            const sink = AnalyticsSinks[sinkName];
+            if (!sink || !filter(sink)) return;
+            try {
+                sink.send(event, this.config);
+            } catch (error) {
+                console.error(`[Analytics] Sink "${sinkName}" falhou:`, error);
+            }
+        });
+    }
+
+    /**
+     * Passa a reter os eventos dos sinks que precisam de consentimento até setConsent()
+     */
+    requireConsent() {
+        if (this.consent === 'granted') this.consent = 'pending';
+    }
+
+    /**
+     * Aplica a decisão de consentimento: libera a fila para os sinks ou descarta
+     * @param {boolean} granted
+     */
+    setConsent(granted) {
+        this.consent = granted ? 'granted' : 'denied';
+        const queued = this.queue.splice(0);
+        if (granted) {
+            queued.forEach(event => this.dispatch(event, sink => sink.requiresConsent));
+        }
+    }
+
+    /**
+     * Registra um sink adicional (ex.: pixel, CRM) sem alterar este arquivo
+     * @param {string} name
+     * @param {{send: Function, requiresConsent?: boolean}} sink
+     */
+    registerSink(name, sink) {
+        if (!sink || typeof sink.send !== 'function') {
+            throw new Error(`Sink "${name}" precisa implementar send(event, config)`);
+        }
+        AnalyticsSinks[name] = { requiresConsent: true, ...sink };
+        if (!this.sinkNames.includes(name)) this.sinkNames = this.sinkNames.concat(name);
+    }
+
+    // --- Funis ---
+
+    defineFunnel(name, steps) {
+        this.funnels[name] = steps;
+    }
+
+    /**
+     * Marca uma etapa do funil (uma vez por página)
+     * @returns {boolean} true se o evento foi emitido
+     */
+    funnel(name, step) {
+        const steps = this.funnels[name];
+        const index = steps ? steps.indexOf(step) : -1;
+        if (index < 0) return false;
+
+        const reached = this.funnelProgress[name] || (this.funnelProgress[name] = new Set());
+        if (reached.has(step)) return false;
+        reached.add(step);
+
+        return this.track('funnel_step', { funil: name, etapa: step, indice: index + 1, total: steps.length });
+    }
+}
+
+// Instância criada já no <head>: qualquer script pode chamar trackEvent()
+const analytics = new AnalyticsBus();
+document.addEventListener('DOMContentLoaded', () => analytics.init());
+
+window.ANALYTICS_EVENTS = ANALYTICS_EVENTS;
+window.ANALYTICS_CONFIG = ANALYTICS_CONFIG;
+window.AnalyticsSinks = AnalyticsSinks;
+window.AnalyticsBus = AnalyticsBus;
+window.analytics = analytics;
+window.trackEvent = (name, params) => analytics.track(name, params);
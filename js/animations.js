@@ -38,6 +38,8 @@
  * ---------------------
  * - js/email-config.js             → Configuração e função sendContactEmail()
  * - js/calculator.js               → Lógica avançada da calculadora ROI
+ * - js/calculator-config.js        → Modelo de recuperação LSS compartilhado
+ * - js/calculator-engine.js        → Motor de cálculo de ROI (usado pelo ROICalculator)
  * - localStorage                   → Persistência de dados do usuário
  *
  * SEGURANÇA (CRÍTICO)
@@ -49,7 +51,8 @@
  *
  * OBSERVABILIDADE
  * ----------------
- * - Google Analytics Events: chatbot_initiated, lead_submitted
+ * - Analytics Events (js/analytics.js): chatbot_opened, chatbot_initiated, lead_submitted
+ *   + funil `chatbot` (funnel_step por estado: aberto → NAME → ... → enviado)
  * - Console Errors: Todas exceções são logadas com contexto
  * - Retry Logic: EmailJS tenta 3x com exponential backoff (1s, 2s, 4s)
  *
@@ -70,7 +73,7 @@
  * MÉTRICAS DE QUALIDADE (AUTO-AVALIAÇÃO)
  * ---------------------------------------
  * - Rastreabilidade:     10/10 (Todo código comentado)
- * - Segurança:           9/10  (XSS mitigado, falta CAPTCHA)
+ * - Segurança:           9/10  (XSS mitigado, anti-spam em js/spam-guard.js)
  * - Resiliência:         9/10  (Retry + fallback implementados)
  * - Acoplamento:         9/10  (Classes independentes, baixa dependência)
  * - Manutenibilidade:    10/10 (Código limpo, bem estruturado)
@@ -570,7 +573,7 @@ class ROICalculator {
         this.dinheiroNaMesa = document.getElementById('dinheiroNaMesa');
         this.novaMargemValue = document.getElementById('novaMargemValue');
         
-        if (!this.faturamentoSlider) return;
+        if (!this.faturamentoSlider || typeof LSSCalculatorEngine === 'undefined') return;
         
         this.init();
     }
@@ -586,12 +589,7 @@ class ROICalculator {
     }
     
     formatCurrency(value) {
-        return new Intl.NumberFormat('pt-BR', {
-            style: 'currency',
-            currency: 'BRL',
-            minimumFractionDigits: 0,
-            maximumFractionDigits: 0
-        }).format(value);
+        return LSSCalculatorEngine.formatarMoeda(value);
     }
     
     calculate() {
@@ -604,20 +602,11 @@ class ROICalculator {
         this.desperdicioValue.textContent = `${desperdicio}%`;
         this.margemValue.textContent = `${margem}%`;
         
-        // Calculate "Dinheiro na Mesa" (annual waste recovery)
-        // GLX method recovers ~60% of operational waste
-        const wasteRecoveryRate = 0.6;
-        const monthlyWaste = faturamento * (desperdicio / 100);
-        const annualRecovery = monthlyWaste * wasteRecoveryRate * 12;
+        // "Dinheiro na Mesa" e nova margem vêm do motor compartilhado (js/calculator-engine.js)
+        const result = LSSCalculatorEngine.calcular({ faturamento, desperdicio, margem });
         
-        this.dinheiroNaMesa.textContent = this.formatCurrency(annualRecovery);
-        
-        // Calculate new projected margin
-        // New margin = current margin + (recovered waste as % of revenue)
-        const recoveredMarginPoints = (monthlyWaste * wasteRecoveryRate / faturamento) * 100;
-        const newMargin = margem + recoveredMarginPoints;
-        
-        this.novaMargemValue.textContent = `${newMargin.toFixed(1)}%`;
+        this.dinheiroNaMesa.textContent = this.formatCurrency(result.valorRecuperavel);
+        this.novaMargemValue.textContent = LSSCalculatorEngine.formatarPercentual(result.novaMargem);
         
         // Animate the value changes
         if (typeof gsap !== 'undefined') {
@@ -653,12 +642,13 @@ window.ROICalculator = ROICalculator;
  * 1. **Qualifica o lead** antes do contato humano
  * 2. **Reduz fricção** (perguntas uma por vez vs formulário longo)
  * 3. **Aumenta conversão** (tax comprovada de 28% vs 9% do formulário tradicional)
- * 4. **Gera protocolo** único para rastreamento end-to-end
- * 5. **Persiste dados** mesmo se EmailJS falhar (localStorage backup)
+ * 4. **Gera protocolo** único para rastreamento end-to-end (o mesmo em e-mail, WhatsApp e reenvios)
+ * 5. **Persiste dados** mesmo se EmailJS falhar (fila offline com reenvio, js/lead-outbox.js)
  * 
  * ARQUITETURA TÉCNICA (HOW - Nível Staff Engineer):
  * ----------------------------------------------------
- * Implementa **State Machine** (Máquina de Estados Finitos) com 6 estados:
+ * Implementa **State Machine** (Máquina de Estados Finitos) definida em `data/luna-flow.json`
+ * e interpretada por `LunaFlowEngine` (js/luna-flow.js). O fluxo padrão tem 6 estados:
  * 
  * ```
  * ┌──────────────────────────────────────────────────────────────┐
@@ -668,52 +658,57 @@ window.ROICalculator = ROICalculator;
  * │  MESSAGE                                           + WHATSAPP │
  * └──────────────────────────────────────────────────────────────┘
  * ```
+ * (EMAIL → EMAIL_CONFIRM → DESAFIO quando o domínio parece ter erro de digitação)
  * 
- * Cada estado:
- * - Valida input do usuário
+ * Cada estado (declarado no JSON, sem código):
+ * - Valida e normaliza o input do usuário (LeadSchema.validateField ou validador do JSON)
  * - Armazena dados em `this.leadData`
- * - Transiciona para próximo estado
+ * - Transiciona para próximo estado (primeira transição cujo `se` combinar)
  * - Retorna mensagem de prompt para o usuário
+ * Efeitos e ações citados no JSON (`sugerirEmail`, `aceitarSugestaoEmail`, `enviarLead`)
+ * são os únicos trechos em código, registrados em `loadFlow()`.
  * 
  * SEGURANÇA (CRITICAL - Staff Security Review):
  * ----------------------------------------------
  * ✅ **XSS Mitigado**: User input usa `textContent`, não `innerHTML`
  * ✅ **Email Retry**: 3 tentativas com exponential backoff (1s, 2s, 4s)
- * ✅ **Crypto Protocol**: `crypto.randomUUID()` gera IDs únicos e seguros
+ * ✅ **Crypto Protocol**: `crypto.randomUUID()` gera IDs únicos e seguros (LeadOutbox.ensureId)
  * ✅ **Fallback**: Se EmailJS falhar, mostra WhatsApp + salva no localStorage
- * ⚠️  **Falta CAPTCHA**: Vulnerável a spam (aceitável para MVP, monitorar quota EmailJS)
+ * ✅ **Anti-spam**: tempo mínimo, rate limit persistido e proof-of-work (js/spam-guard.js); CAPTCHA plugável
  * 
  * INTEGRAÇÕES:
  * -------------
  * - **EmailJS** (window.sendContactEmail): Envia dados para contato@glxpartners.com
- * - **Google Analytics** (window.trackEvent): Rastreia `chatbot_initiated`, `lead_submitted`
+ * - **Analytics** (window.trackEvent → js/analytics.js): `chatbot_opened`, `chatbot_initiated`,
+ *   `lead_submitted` e o funil `chatbot` (um `funnel_step` por estado alcançado)
  * - **localStorage**: Backup de leads caso rede falhe
  * - **WhatsApp API**: Link pré-preenchido com dados do lead
  * 
  * FLUXO DE DADOS:
  * ----------------
- * 1. Usuário digita keyword ('dúvida', 'contratar', etc)
- * 2. `checkIntents()` detecta intenção → chama `startLeadFlow()`
- * 3. State Machine coleta: nome, cargo, email, desafio, dúvida
- * 4. `handleFlow('DUVIDA')` executa:
- *    a. Gera protocolo crypto-secure (ex: GLX-A3F8B7C2)
+ * 1. Usuário digita keyword ('dúvida', 'contratar', etc) ou uma pergunta
+ * 2. `checkIntents()`: intenção de compra → `startLeadFlow()`; pergunta respondida
+ *    pelo FAQ/serviços/cases (js/luna-knowledge.js, BM25 local) → trecho + link;
+ *    sem confiança suficiente → pedido de ajuda segue para `startLeadFlow()`
+ * 3. State Machine coleta: nome, cargo, email, desafio, dúvida (ou o que o JSON pedir)
+ * 4. A ação `enviarLead` (`submitLead()`) executa:
+ *    a. Atribui leadId + protocolo crypto-secure (ex: GLX-A3F8B7C2) via js/lead-outbox.js
  *    b. Chama `sendEmailWithRetry()` (3 tentativas)
  *    c. Se sucesso: Mostra protocolo + WhatsApp button
- *    d. Se falha: Salva localStorage + force WhatsApp fallback
+ *    d. Se falha: Enfileira no outbox (reenvio automático, mesmo protocolo) + force WhatsApp fallback
  * 5. Tracking GA4: `lead_submitted` com metadata (protocolo, desafio)
  * 
  * OBSERVABILIDADE:
  * -----------------
  * - Console.log em cada retry EmailJS (visível em DevTools)
  * - GA4 Events: Permite medir funil IDLE → NAME → ... → SUCCESS
- * - localStorage key: 'glx_lead_backup' (inspecionável no browser)
+ * - localStorage key: 'glx_lead_outbox' (fila de reenvio, inspecionável no browser)
  * 
  * EDGE CASES & TRATAMENTO DE ERROS:
  * -----------------------------------
- * - Email inválido (regex /^[^\s@]+@[^\s@]+\.[^\s@]+$/) → Pede para reenviar
- * - Nome < 3 caracteres → Rejeita com mensagem amigável
- * - EmailJS offline → localStorage + WhatsApp urgente
- * - Usuário fecha antes de completar → localStorage persiste (recuperar em futuro)
+ * - Campo inválido (regras de js/lead-schema.js: e-mail, nome < 3 caracteres...) → Pede para reenviar
+ * - EmailJS offline → outbox (reenvia ao voltar online / próxima visita) + WhatsApp urgente
+ * - Usuário fecha antes de completar → sessão em 'glx_luna_session' (24h): ao voltar, "continuar" ou "recomeçar"
  * - HTTPS não disponível → Fallback para timestamp-based protocol
  * 
  * MÉTRICAS DE SUCESSO (KPIs):
@@ -725,18 +720,19 @@ window.ROICalculator = ROICalculator;
  * 
  * AUTOAVALIAÇÃO (GOVERNANÇA):
  * ----------------------------
- * - Segurança:          9/10  (XSS safe, falta CAPTCHA)
+ * - Segurança:          9/10  (XSS safe, anti-spam sem terceiros; CAPTCHA só via hook)
  * - Resiliência:        10/10 (Retry + localStorage + fallback)
- * - UX:                 9/10  (Conversacional, mas sem histórico persistente)
+ * - UX:                 9/10  (Conversacional, histórico retomável por 24h)
  * - Rastreabilidade:    10/10 (GA4 + console logs + protocolo único)
  * - Acoplamento:        8/10  (Depende de EmailJS e GA4 globals)
  * 
  * PRÓXIMAS MELHORIAS (ROADMAP):
  * ------------------------------
- * - [ ] Adicionar reCAPTCHA v3 (prevenir spam)
- * - [ ] Persistir histórico completo em localStorage (permitir retomar)
- * - [ ] Validação avançada de email (rejeitar domínios descartáveis)
+ * - [x] Anti-spam em camadas (js/spam-guard.js); CAPTCHA real via spamGuard.registerCaptcha()
+ * - [x] Persistir histórico completo em localStorage (permitir retomar), com expiração
+ * - [x] Validação avançada de email: descartáveis bloqueados, webmail sinalizado, sugestão de typo (js/email-quality.js)
  * - [ ] Webhook backup (enviar para backend se EmailJS falhar)
+ * - [x] Fluxo declarativo (data/luna-flow.json): novas perguntas e ramificações sem deploy de JS
  * - [ ] A/B test: variar order das perguntas (EMAIL antes de ROLE?)
  */
 class LunaChatbot {
@@ -753,14 +749,30 @@ class LunaChatbot {
         if (!this.chatToggle) return;
         
         this.isOpen = false;
-        // State Machine for Lead Capture
-        this.flowState = 'IDLE'; // IDLE, NAME, ROLE, EMAIL, DESAFIO, MENSAGEM
+        // State Machine for Lead Capture: states come from data/luna-flow.json (js/luna-flow.js)
+        this.flowUrl = 'data/luna-flow.json';
+        this.flow = null;
+        this.flowState = 'IDLE'; // IDLE or a state of the flow definition
         this.leadData = {};
+        this.flowVars = {};
+
+        // Saved conversation (transcript + flow position) to resume after a reload; only while a lead is in progress
+        this.sessionKey = 'glx_luna_session';
+        this.sessionVersion = 2;
+        this.sessionMaxAgeMs = 24 * 60 * 60 * 1000;
+        this.maxTranscript = 100;
+        this.transcript = [];
+        this.staticMessages = this.chatMessages.children.length;
+
+        // Local search over the page content (js/luna-knowledge.js)
+        this.knowledge = window.LunaKnowledge ? new LunaKnowledge() : null;
 
         this.init();
     }
     
     init() {
+        // Resuming needs the flow: the saved state must still exist in data/luna-flow.json
+        this.loadFlow().then(() => this.restoreSession());
         this.chatToggle.addEventListener('click', () => this.toggle());
         this.chatClose.addEventListener('click', () => this.close());
         this.chatSend.addEventListener('click', () => this.sendMessage());
@@ -776,6 +788,8 @@ class LunaChatbot {
             this.chatWindow.classList.add('scale-100', 'opacity-100');
             this.chatIcon.textContent = 'close';
             this.chatInput.focus();
+            if (window.trackEvent) window.trackEvent('chatbot_opened', {});
+            this.trackFunnel('aberto');
             // Check if we should start automatically? No, wait for user.
         } else {
             this.close();
@@ -809,21 +823,41 @@ class LunaChatbot {
             }
             
             this.addMessage(response, 'bot');
+            this.trackFunnel(this.flowState);
         }, 1000);
     }
 
+    // Funnel step per state the conversation reaches (js/analytics.js ignores IDLE/EMAIL_CONFIRM)
+    trackFunnel(step) {
+        if (window.analytics) window.analytics.funnel('chatbot', step);
+    }
+
     // CHECK INTENTS (IDLE STATE)
     checkIntents(message) {
         const msg = message.toLowerCase();
         
-        // Trigger Lead Flow for almost all intents now (Lead Capture First)
-        const triggers = [
-            'dúvida', 'duvida', 'ajuda', 'suporte', 'erro', 'problema',
-            'fechar', 'contratar', 'comprar', 'preço', 'preco', 
-            'valor', 'orçamento', 'orcamento', 'whatsapp', 'zap', 'quero'
+        // Buying intent goes straight to the specialist (Lead Capture First)
+        const leadTriggers = [
+            'fechar', 'contratar', 'comprar', 'preço', 'preco',
+            'valor', 'orçamento', 'orcamento', 'whatsapp', 'zap', 'atendimento'
+        ];
+        // Generic help requests only start the flow if the site content has no answer
+        const supportTriggers = [
+            'dúvida', 'duvida', 'ajuda', 'suporte', 'erro', 'problema', 'quero'
         ];
 
-        if (triggers.some(t => msg.includes(t))) {
+        if (leadTriggers.some(t => msg.includes(t))) {
+            return this.startLeadFlow();
+        }
+
+        // Answer from the site's own FAQ, services and cases (js/luna-knowledge.js)
+        const answer = this.knowledge ? this.knowledge.answer(message) : null;
+        if (answer) {
+            return this.knowledgeReply(answer);
+        }
+
+        // Low confidence: the question goes to a specialist ("Sim" accepts the offer below)
+        if (supportTriggers.some(t => msg.includes(t)) || /^s(im)?[.!]*$/.test(msg.trim())) {
             return this.startLeadFlow();
         }
 
@@ -838,10 +872,29 @@ class LunaChatbot {
         Digite <strong>"Sim"</strong> para começar.`;
     }
 
+    // Snippet + link to the section it came from; low-confidence questions never get here
+    knowledgeReply(answer) {
+        if (window.trackEvent) {
+            window.trackEvent('chatbot_faq_answered', { tipo: answer.tipo, item: answer.id, score: Math.round(answer.score * 100) / 100 });
+        }
+        return `📚 <strong>${this.sanitizeHTML(answer.titulo)}</strong><br>
+        ${this.sanitizeHTML(answer.trecho)}<br><br>
+        👉 <a href="#${answer.id}" data-luna-source="${answer.id}" class="underline font-bold text-primary">${this.sanitizeHTML(answer.rotulo)}</a><br><br>
+        Quer falar com um especialista sobre o seu caso? Digite <strong>"contratar"</strong>.`;
+    }
+
     // START FLOW
     startLeadFlow() {
-        this.flowState = 'NAME';
+        if (!this.flow) {
+            return `No momento não consigo abrir o cadastro por aqui. 😕<br><br>
+            Fale direto com um especialista pelo <a href="https://wa.me/${this.whatsappNumber()}" class="underline font-bold text-primary">WhatsApp</a>.`;
+        }
+
+        this.flowState = this.flow.inicio;
         this.leadData = {};
+        this.flowVars = {};
+        // Time-to-submit counts from here (js/spam-guard.js)
+        if (window.spamGuard) window.spamGuard.start('chatbot');
         
         // Track chatbot initiation
         if (window.trackEvent) {
@@ -850,112 +903,155 @@ class LunaChatbot {
             });
         }
         
-        return `Certo! Vamos lá. 🚀<br><br>
-        Primeiro, qual é o seu <strong>Nome Completo</strong>?`;
+        return this.flow.prompt(this.flowState, this.flowContext());
     }
 
-    // HANDLE CONVERSATIONAL FLOW
-    async handleFlow(input) {
-        const cleanInput = input.trim();
-
-        switch (this.flowState) {
-            case 'NAME':
-                if (cleanInput.length < 3) return "Por favor, digite um nome válido.";
-                this.leadData.nome = cleanInput;
-                this.flowState = 'ROLE';
-                return `Prazer, ${this.leadData.nome.split(' ')[0]}! 👋<br><br>
-                Qual é o seu <strong>Cargo</strong> na clínica? (Ex: Diretor, Gestor, Médico)`;
-
-            case 'ROLE':
-                this.leadData.cargo = cleanInput;
-                this.flowState = 'EMAIL';
-                return `Perfeito. Agora, qual seu <strong>E-mail Corporativo</strong>?<br>
-                <em>(Enviaremos o protocolo de atendimento para lá)</em>`;
-
-            case 'EMAIL':
-                const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-                if (!emailRegex.test(cleanInput)) return "Hmm, esse e-mail parece inválido. Tente novamente, por favor!";
-                this.leadData.email = cleanInput;
-                this.flowState = 'DESAFIO';
-                return `Obrigada! 📧<br><br>
-                Qual o <strong>Principal Desafio</strong> da clínica hoje?<br>
-                (Ex: Faturamento, Custos, Tempo de Espera, Marketing)`;
-
-            case 'DESAFIO':
-                this.leadData.desafio = cleanInput;
-                this.flowState = 'DUVIDA';
-                return `Entendido. Para finalizar, qual sua <strong>Dúvida</strong> ou mensagem para o especialista?<br>
-                (Se não tiver, digite <strong>"Sem dúvida"</strong>)`;
-
-            case 'DUVIDA':
-                this.leadData.mensagem = cleanInput; // Map 'Duvida' to 'mensagem' for EmailJS compatibility
-                
-                // SENDING LOGIC WITH RETRY & FALLBACK
-                try {
-                    // Generate cryptographically secure protocol
-                    const protocol = this.generateSecureProtocol();
-                    
-                    // Send to EmailJS with retry logic
-                    if (window.sendContactEmail) {
-                        const success = await this.sendEmailWithRetry(this.leadData, 3);
-                        
-                        if (!success) {
-                            throw new Error('EmailJS failed after retries');
-                        }
-                    } else {
-                        console.error("EmailJS function not found");
-                        throw new Error("Configuration Error");
-                    }
+    // Load data/luna-flow.json and bind the side effects it may reference (js/luna-flow.js)
+    async loadFlow() {
+        const definition = await LunaFlowEngine.load(this.flowUrl);
+        if (!definition) return;
 
-                    this.flowState = 'IDLE'; // Reset
-                    
-                    // Track successful lead capture
+        const handlers = {
+            efeitos: {
+                // Typo check (js/email-quality.js): "gmial.com" → confirm before moving on
+                sugerirEmail: (ctx) => {
+                    ctx.vars.sugestaoEmail = window.EmailQuality ? EmailQuality.suggest(ctx.dados.email) : null;
+                },
+                aceitarSugestaoEmail: (ctx) => {
+                    ctx.dados.email = ctx.vars.sugestaoEmail;
                     if (window.trackEvent) {
-                        window.trackEvent('lead_submitted', {
-                            protocol: protocol,
-                            source: 'chatbot',
-                            challenge: this.leadData.desafio
-                        });
+                        window.trackEvent('email_suggestion_accepted', { dominio: EmailQuality.domainOf(ctx.vars.sugestaoEmail) });
                     }
-                    
-                    // Create detailed WhatsApp Message
-                    const waText = `Olá! Sou ${this.leadData.nome} (${this.leadData.cargo}).\nMeu desafio é: ${this.leadData.desafio}.\nProtocolo: ${protocol}`;
-                    const waLink = `https://wa.me/5511944223257?text=${encodeURIComponent(waText)}`;
-                    
-                    return `✅ <strong>Recebido com Sucesso!</strong><br><br>
-                    📧 Protocolo <strong>${protocol}</strong> enviado para seu e-mail.<br><br>
-                    Para agilizar seu atendimento, clique abaixo e envie esses dados direto para nosso WhatsApp:<br><br>
-                    👉 <a href="${waLink}" class="chat-whatsapp-link w-full bg-green-500 hover:bg-green-600 text-white font-black py-3 rounded-xl shadow-lg shadow-green-500/30 transition-all flex items-center justify-center gap-2 mt-2 group">
-                        <svg class="w-5 h-5 group-hover:scale-110 transition-transform" fill="currentColor" viewBox="0 0 24 24"><path d="M17.472 14.382c-.297-.149-1.758-.867-2.03-.967-.273-.099-.471-.148-.67.15-.197.297-.767.966-.94 1.164-.173.199-.347.223-.644.075-.297-.15-1.255-.463-2.39-1.475-.883-.788-1.48-1.761-1.653-2.059-.173-.297-.018-.458.13-.606.134-.133.298-.347.446-.52.149-.174.198-.298.298-.497.099-.198.05-.371-.025-.52-.075-.149-.669-1.612-.916-2.207-.242-.579-.487-.5-.669-.51-.173-.008-.371-.01-.57-.01-.198 0-.52.074-.792.372-.272.297-1.04 1.016-1.04 2.479 0 1.462 1.065 2.875 1.213 3.074.149.198 2.096 3.2 5.077 4.487.709.306 1.262.489 1.694.625.712.227 1.36.195 1.871.118.571-.085 1.758-.719 2.006-1.413.248-.694.248-1.289.173-1.413-.074-.124-.272-.198-.57-.347m-5.421 7.403h-.004a9.87 9.87 0 01-5.031-1.378l-.361-.214-3.741.982.998-3.648-.235-.374a9.86 9.86 0 01-1.51-5.26c.001-5.45 4.436-9.884 9.888-9.884 2.64 0 5.122 1.03 6.988 2.898a9.825 9.825 0 012.893 6.994c-.003 5.45-4.437 9.884-9.885 9.884m8.413-18.297A11.815 11.815 0 0012.05 0C5.495 0 .16 5.335.157 11.892c0 2.096.547 4.142 1.588 5.945L.057 24l6.305-1.654a11.882 11.882 0 005.683 1.448h.005c6.554 0 11.89-5.335 11.893-11.893a11.821 11.821 0 00-3.48-8.413z"/></svg>
-                        Enviar via WhatsApp
-                    </a>`;
-
-                } catch (error) {
-                    console.error("Chatbot Email Error:", error);
-                    
-                    // Save to localStorage as backup
-                    this.saveToLocalStorage();
-                    
-                    // Generate protocol even on failure
-                    const protocol = this.generateSecureProtocol();
-                    const waText = `Olá! Sou ${this.leadData.nome} (${this.leadData.cargo}).\nMeu desafio é: ${this.leadData.desafio}.\nProtocolo: ${protocol}\n\n(Enviado via WhatsApp pois o formulário apresentou erro)`;
-                    const waLink = `https://wa.me/5511944223257?text=${encodeURIComponent(waText)}`;
-                    
-                    return `⚠️ <strong>Ops! Erro ao enviar e-mail.</strong><br><br>
-                    Mas não se preocupe! Seus dados foram salvos localmente.<br><br>
-                    Por favor, <strong>clique no botão abaixo</strong> para enviar seus dados via WhatsApp:<br><br>
-                    👉 <a href="${waLink}" class="chat-whatsapp-link w-full bg-green-500 hover:bg-green-600 text-white font-black py-3 rounded-xl shadow-lg shadow-green-500/30 transition-all flex items-center justify-center gap-2 mt-2 group">
-                        <svg class="w-5 h-5 group-hover:scale-110 transition-transform" fill="currentColor" viewBox="0 0 24 24"><path d="M17.472 14.382c-.297-.149-1.758-.867-2.03-.967-.273-.099-.471-.148-.67.15-.197.297-.767.966-.94 1.164-.173.199-.347.223-.644.075-.297-.15-1.255-.463-2.39-1.475-.883-.788-1.48-1.761-1.653-2.059-.173-.297-.018-.458.13-.606.134-.133.298-.347.446-.52.149-.174.198-.298.298-.497.099-.198.05-.371-.025-.52-.075-.149-.669-1.612-.916-2.207-.242-.579-.487-.5-.669-.51-.173-.008-.371-.01-.57-.01-.198 0-.52.074-.792.372-.272.297-1.04 1.016-1.04 2.479 0 1.462 1.065 2.875 1.213 3.074.149.198 2.096 3.2 5.077 4.487.709.306 1.262.489 1.694.625.712.227 1.36.195 1.871.118.571-.085 1.758-.719 2.006-1.413.248-.694.248-1.289.173-1.413-.074-.124-.272-.198-.57-.347m-5.421 7.403h-.004a9.87 9.87 0 01-5.031-1.378l-.361-.214-3.741.982.998-3.648-.235-.374a9.86 9.86 0 01-1.51-5.26c.001-5.45 4.436-9.884 9.888-9.884 2.64 0 5.122 1.03 6.988 2.898a9.825 9.825 0 012.893 6.994c-.003 5.45-4.437 9.884-9.885 9.884m8.413-18.297A11.815 11.815 0 0012.05 0C5.495 0 .16 5.335.157 11.892c0 2.096.547 4.142 1.588 5.945L.057 24l6.305-1.654a11.882 11.882 0 005.683 1.448h.005c6.554 0 11.89-5.335 11.893-11.893a11.821 11.821 0 00-3.48-8.413z"/></svg>
-                        Enviar via WhatsApp (URGENTE)
-                    </a>`;
                 }
+            },
+            acoes: {
+                enviarLead: () => this.submitLead()
+            }
+        };
+
+        const problems = LunaFlowEngine.check(definition, handlers);
+        if (problems.length) {
+            console.error('[LunaChatbot] data/luna-flow.json inválido, captação desativada:', problems);
+            return;
+        }
+
+        this.flow = new LunaFlowEngine(definition, handlers);
+        if (window.analytics) window.analytics.defineFunnel('chatbot', ['aberto', ...this.flow.funnelSteps(), 'enviado']);
+    }
+
+    // Context handed to the flow engine: the lead being built + values set by effects
+    flowContext() {
+        return { dados: this.leadData, vars: this.flowVars };
+    }
+
+    // HANDLE CONVERSATIONAL FLOW (one transition of data/luna-flow.json)
+    async handleFlow(input) {
+        if (!this.flow) {
+            this.flowState = 'IDLE';
+            return "Algo deu errado. Vamos começar de novo? Digite 'Olá'.";
+        }
+
+        const result = await this.flow.transition(this.flowState, input.trim(), this.flowContext());
+        this.flowState = result.estado;
+        return result.resposta;
+    }
+
+    // Final action of the flow ("acao": "enviarLead"): anti-spam, send, WhatsApp hand-off
+    async submitLead() {
+        // Anti-spam layers (time-to-submit, rate limit, proof-of-work, CAPTCHA hook)
+        if (window.spamGuard) {
+            let verdict;
+            try {
+                verdict = await window.spamGuard.check('chatbot');
+            } catch (error) {
+                // Proof-of-work/CAPTCHA threw: nothing was sent, stay on this state so the visitor can retry
+                console.error('Chatbot anti-spam check failed:', error);
+                return { resposta: 'Não consegui enviar agora. Envie sua mensagem de novo em alguns segundos, por favor.' };
+            }
+            if (!verdict.allowed) {
+                return {
+                    resposta: SpamGuard.message(verdict) || "Algo deu errado. Vamos começar de novo? Digite 'Olá'.",
+                    proximo: verdict.reason === 'rate_limited' ? 'IDLE' : undefined
+                };
+            }
+            this.leadData.antispam = verdict.proof;
+        }
+        // Attach the latest calculator simulation (js/calculator.js), if any
+        this.leadData.simulacao = window.glxCalculator ? window.glxCalculator.getLeadSummary() : null;
+        // Answers of flow states with a "rotulo" (e.g. number of beds) for the email template
+        const perfilResumo = this.flow.summary(this.leadData);
+        if (perfilResumo) this.leadData.perfilResumo = perfilResumo;
+        // Same leadId + protocol for every attempt, the offline outbox and WhatsApp (js/lead-outbox.js)
+        if (window.leadOutbox) window.leadOutbox.ensureId(this.leadData);
+        const protocol = this.leadData.protocolo;
+        
+        // SENDING LOGIC WITH RETRY & FALLBACK
+        try {
+            // Send to EmailJS with retry logic
+            if (window.sendContactEmail) {
+                const success = await this.sendEmailWithRetry(this.leadData, 3);
+                
+                if (!success) {
+                    throw new Error('EmailJS failed after retries');
+                }
+            } else {
+                console.error("EmailJS function not found");
+                throw new Error("Configuration Error");
+            }
+            
+            // Only leads that went out (or sit in the outbox below) count toward the rate limit
+            if (window.spamGuard) window.spamGuard.recordSend();
+
+            // Track successful lead capture
+            if (window.trackEvent) {
+                window.trackEvent('lead_submitted', {
+                    protocol: protocol,
+                    source: 'chatbot',
+                    challenge: this.leadData.desafio
+                });
+            }
+            this.trackFunnel('enviado');
             
-            default:
-                this.flowState = 'IDLE';
-                return "Algo deu errado. Vamos começar de novo? Digite 'Olá'.";
+            // Create detailed WhatsApp Message
+            const waText = `Olá! Sou ${this.leadData.nome} (${this.leadData.cargo}).\nMeu desafio é: ${this.leadData.desafio}.\nProtocolo: ${protocol}`;
+            const waLink = `https://wa.me/${this.whatsappNumber()}?text=${encodeURIComponent(waText)}`;
+            
+            return { proximo: 'IDLE', resposta: `✅ <strong>Recebido com Sucesso!</strong><br><br>
+            📧 Protocolo <strong>${protocol}</strong> enviado para seu e-mail.<br><br>
+            Para agilizar seu atendimento, clique abaixo e envie esses dados direto para nosso WhatsApp:<br><br>
+            👉 <a href="${waLink}" class="chat-whatsapp-link w-full bg-green-500 hover:bg-green-600 text-white font-black py-3 rounded-xl shadow-lg shadow-green-500/30 transition-all flex items-center justify-center gap-2 mt-2 group">
+                <svg class="w-5 h-5 group-hover:scale-110 transition-transform" fill="currentColor" viewBox="0 0 24 24"><path d="M17.472 14.382c-.297-.149-1.758-.867-2.03-.967-.273-.099-.471-.148-.67.15-.197.297-.767.966-.94 1.164-.173.199-.347.223-.644.075-.297-.15-1.255-.463-2.39-1.475-.883-.788-1.48-1.761-1.653-2.059-.173-.297-.018-.458.13-.606.134-.133.298-.347.446-.52.149-.174.198-.298.298-.497.099-.198.05-.371-.025-.52-.075-.149-.669-1.612-.916-2.207-.242-.579-.487-.5-.669-.51-.173-.008-.371-.01-.57-.01-.198 0-.52.074-.792.372-.272.297-1.04 1.016-1.04 2.479 0 1.462 1.065 2.875 1.213 3.074.149.198 2.096 3.2 5.077 4.487.709.306 1.262.489 1.694.625.712.227 1.36.195 1.871.118.571-.085 1.758-.719 2.006-1.413.248-.694.248-1.289.173-1.413-.074-.124-.272-.198-.57-.347m-5.421 7.403h-.004a9.87 9.87 0 01-5.031-1.378l-.361-.214-3.741.982.998-3.648-.235-.374a9.86 9.86 0 01-1.51-5.26c.001-5.45 4.436-9.884 9.888-9.884 2.64 0 5.122 1.03 6.988 2.898a9.825 9.825 0 012.893 6.994c-.003 5.45-4.437 9.884-9.885 9.884m8.413-18.297A11.815 11.815 0 0012.05 0C5.495 0 .16 5.335.157 11.892c0 2.096.547 4.142 1.588 5.945L.057 24l6.305-1.654a11.882 11.882 0 005.683 1.448h.005c6.554 0 11.89-5.335 11.893-11.893a11.821 11.821 0 00-3.48-8.413z"/></svg>
+                Enviar via WhatsApp
+            </a>` };
+
+        } catch (error) {
+            console.error("Chatbot Email Error:", error);
+            
+            // Queue for automatic resend (never lost, never duplicated)
+            this.queueLead();
+            if (window.spamGuard) window.spamGuard.recordSend();
+            
+            // Same protocol as the queued lead, so the WhatsApp message and the resend match
+            const waText = `Olá! Sou ${this.leadData.nome} (${this.leadData.cargo}).\nMeu desafio é: ${this.leadData.desafio}.\nProtocolo: ${protocol}\n\n(Enviado via WhatsApp pois o formulário apresentou erro)`;
+            const waLink = `https://wa.me/${this.whatsappNumber()}?text=${encodeURIComponent(waText)}`;
+            
+            // Lead is already in the outbox: a new message must not resubmit it
+            return { proximo: 'IDLE', resposta: `⚠️ <strong>Ops! Erro ao enviar e-mail.</strong><br><br>
+            Mas não se preocupe! Seus dados foram salvos localmente.<br><br>
+            Por favor, <strong>clique no botão abaixo</strong> para enviar seus dados via WhatsApp:<br><br>
+            👉 <a href="${waLink}" class="chat-whatsapp-link w-full bg-green-500 hover:bg-green-600 text-white font-black py-3 rounded-xl shadow-lg shadow-green-500/30 transition-all flex items-center justify-center gap-2 mt-2 group">
+                <svg class="w-5 h-5 group-hover:scale-110 transition-transform" fill="currentColor" viewBox="0 0 24 24"><path d="M17.472 14.382c-.297-.149-1.758-.867-2.03-.967-.273-.099-.471-.148-.67.15-.197.297-.767.966-.94 1.164-.173.199-.347.223-.644.075-.297-.15-1.255-.463-2.39-1.475-.883-.788-1.48-1.761-1.653-2.059-.173-.297-.018-.458.13-.606.134-.133.298-.347.446-.52.149-.174.198-.298.298-.497.099-.198.05-.371-.025-.52-.075-.149-.669-1.612-.916-2.207-.242-.579-.487-.5-.669-.51-.173-.008-.371-.01-.57-.01-.198 0-.52.074-.792.372-.272.297-1.04 1.016-1.04 2.479 0 1.462 1.065 2.875 1.213 3.074.149.198 2.096 3.2 5.077 4.487.709.306 1.262.489 1.694.625.712.227 1.36.195 1.871.118.571-.085 1.758-.719 2.006-1.413.248-.694.248-1.289.173-1.413-.074-.124-.272-.198-.57-.347m-5.421 7.403h-.004a9.87 9.87 0 01-5.031-1.378l-.361-.214-3.741.982.998-3.648-.235-.374a9.86 9.86 0 01-1.51-5.26c.001-5.45 4.436-9.884 9.888-9.884 2.64 0 5.122 1.03 6.988 2.898a9.825 9.825 0 012.893 6.994c-.003 5.45-4.437 9.884-9.885 9.884m8.413-18.297A11.815 11.815 0 0012.05 0C5.495 0 .16 5.335.157 11.892c0 2.096.547 4.142 1.588 5.945L.057 24l6.305-1.654a11.882 11.882 0 005.683 1.448h.005c6.554 0 11.89-5.335 11.893-11.893a11.821 11.821 0 00-3.48-8.413z"/></svg>
+                Enviar via WhatsApp (URGENTE)
+            </a>` };
         }
     }
     
+    // WhatsApp of the lead's routing destination (js/lead-routing.js), or the default one
+    whatsappNumber() {
+        const roteamento = this.leadData.roteamento;
+        return (roteamento && roteamento.whatsapp) || (window.EMAILJS_CONFIG && EMAILJS_CONFIG.WHATSAPP) || '5511944223257';
+    }
+    
     // Utility: Sanitize HTML to prevent XSS
     sanitizeHTML(text) {
         const div = document.createElement('div');
@@ -963,7 +1059,20 @@ class LunaChatbot {
         return div.innerHTML;
     }
     
+    // Render + record in the saved transcript (bot HTML is stored as plain text, never re-injected)
     addMessage(text, sender) {
+        this.renderMessage(text, sender);
+        this.transcript.push({ texto: sender === 'user' ? text : this.plainText(text), autor: sender });
+        this.saveSession();
+    }
+
+    // Bot HTML → text with line breaks; parsed in an inert document (no scripts, no image loads)
+    plainText(html) {
+        const doc = new DOMParser().parseFromString(String(html).replace(/\s+/g, ' ').replace(/<br\s*\/?>/gi, '\n'), 'text/html');
+        return doc.body.textContent.split('\n').map(line => line.trim()).join('\n').trim();
+    }
+
+    renderMessage(text, sender, { plain = false } = {}) {
         const messageDiv = document.createElement('div');
         messageDiv.className = 'flex gap-2' + (sender === 'user' ? ' justify-end' : '');
         
@@ -985,8 +1094,14 @@ class LunaChatbot {
             bubble.className = 'bg-white rounded-2xl rounded-tl-sm p-3 shadow-sm max-w-[80%]';
             const p = document.createElement('p');
             p.className = 'text-sm text-slate-700';
-            // Allow HTML for bot responses (links, formatting) but it's from trusted source (our code)
-            p.innerHTML = text;
+            if (plain) {
+                // Restored from localStorage: text only
+                p.classList.add('whitespace-pre-line');
+                p.textContent = text;
+            } else {
+                // Allow HTML for bot responses (links, formatting) but it's from trusted source (our code)
+                p.innerHTML = text;
+            }
             bubble.appendChild(p);
             
             messageDiv.appendChild(avatar);
@@ -995,6 +1110,117 @@ class LunaChatbot {
         
         this.chatMessages.appendChild(messageDiv);
         this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+        return messageDiv;
+    }
+
+    // --- Session persistence (resume an interrupted conversation) ---
+
+    saveSession() {
+        // Nothing to resume outside the flow; once the lead is sent its data leaves the browser storage
+        if (this.flowState === 'IDLE') {
+            this.clearSession();
+            return;
+        }
+        try {
+            // Proof-of-work is single use: never persisted
+            const { antispam, ...dados } = this.leadData;
+            localStorage.setItem(this.sessionKey, JSON.stringify({
+                versao: this.sessionVersion,
+                estado: this.flowState,
+                dados,
+                vars: this.flowVars,
+                mensagens: this.transcript.slice(-this.maxTranscript),
+                atualizadoEm: new Date().toISOString()
+            }));
+        } catch (e) {
+            console.error('Failed to save chat session:', e);
+        }
+    }
+
+    loadSession() {
+        try {
+            const session = JSON.parse(localStorage.getItem(this.sessionKey));
+            if (!session || !Array.isArray(session.mensagens)) return null;
+            // Older sessions stored bot messages as HTML: dropped instead of rendered
+            if (session.versao !== this.sessionVersion || !(Date.now() - Date.parse(session.atualizadoEm) < this.sessionMaxAgeMs)) {
+                this.clearSession();
+                return null;
+            }
+            return session;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    clearSession() {
+        try {
+            localStorage.removeItem(this.sessionKey);
+        } catch (e) {
+            // Storage unavailable: nothing was saved
+        }
+    }
+
+    restoreSession() {
+        const session = this.loadSession();
+        if (!session || !session.mensagens.length) return;
+
+        const inProgress = session.estado !== 'IDLE' && this.flow && this.flow.definition.estados[session.estado];
+        if (!inProgress) {
+            this.clearSession();
+            return;
+        }
+
+        this.transcript = session.mensagens.map(message => ({ texto: String(message.texto || ''), autor: message.autor === 'user' ? 'user' : 'bot' }));
+        this.transcript.forEach(message => this.renderMessage(message.texto, message.autor, { plain: true }));
+
+        this.flowState = session.estado;
+        this.leadData = session.dados || {};
+        this.flowVars = session.vars || {};
+        // Time-to-submit restarts with the new page (js/spam-guard.js)
+        if (window.spamGuard) window.spamGuard.start('chatbot');
+        this.offerResume();
+    }
+
+    // "Continue / start over" prompt; not part of the transcript, so every reload asks again
+    offerResume() {
+        const messageDiv = this.renderMessage('Você tinha uma conversa em andamento comigo. Quer continuar de onde parou?', 'bot');
+        const actions = document.createElement('div');
+        actions.className = 'flex flex-wrap gap-2 mt-3';
+
+        const button = (label, primary, onClick) => {
+            const el = document.createElement('button');
+            el.type = 'button';
+            el.className = primary
+                ? 'bg-primary hover:bg-violet-600 text-white text-xs font-bold px-3 py-2 rounded-full transition-colors'
+                : 'border border-slate-300 hover:border-primary text-slate-600 text-xs font-bold px-3 py-2 rounded-full transition-colors';
+            el.textContent = label;
+            el.addEventListener('click', () => {
+                messageDiv.remove();
+                if (window.trackEvent) {
+                    window.trackEvent('chatbot_session_resumed', { escolha: primary ? 'continuar' : 'recomecar', estado: this.flowState });
+                }
+                onClick();
+            });
+            return el;
+        };
+
+        actions.append(
+            button('Continuar de onde parei', true, () => {
+                this.addMessage(this.flow.prompt(this.flowState, this.flowContext()), 'bot');
+            }),
+            button('Recomeçar', false, () => this.restart())
+        );
+        messageDiv.lastChild.appendChild(actions);
+        this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+    }
+
+    restart() {
+        this.clearSession();
+        this.transcript = [];
+        while (this.chatMessages.children.length > this.staticMessages) {
+            this.chatMessages.lastChild.remove();
+        }
+        this.addMessage(this.startLeadFlow(), 'bot');
     }
     
     showTyping() {
@@ -1020,21 +1246,6 @@ class LunaChatbot {
         if (typing) typing.remove();
     }
     
-    // Generate cryptographically secure protocol
-    generateSecureProtocol() {
-        // Use crypto.randomUUID if available (HTTPS required)
-        if (window.crypto && window.crypto.randomUUID) {
-            const uuid = window.crypto.randomUUID();
-            const shortId = uuid.split('-')[0].toUpperCase();
-            return `GLX-${shortId}`;
-        } else {
-            // Fallback to timestamp + random
-            const timestamp = Date.now().toString(36).toUpperCase();
-            const random = Math.random().toString(36).substring(2, 6).toUpperCase();
-            return `GLX-${timestamp}-${random}`;
-        }
-    }
-    
     // Retry EmailJS with exponential backoff
     async sendEmailWithRetry(data, maxRetries = 3) {
         for (let attempt = 1; attempt <= maxRetries; attempt++) {
@@ -1056,17 +1267,13 @@ class LunaChatbot {
         return false;
     }
     
-    // Save to localStorage as backup
-    saveToLocalStorage() {
-        try {
-            const backup = {
-                data: this.leadData,
-                timestamp: new Date().toISOString()
-            };
-            localStorage.setItem('glx_lead_backup', JSON.stringify(backup));
-        } catch (e) {
-            console.error('Failed to save to localStorage:', e);
+    // Queue the lead in the offline outbox (js/lead-outbox.js) for automatic resend
+    queueLead() {
+        if (window.leadOutbox) {
+            window.leadOutbox.enqueue(this.leadData);
+            return;
         }
+        console.error('Lead outbox not loaded; lead could not be queued:', this.leadData.leadId);
     }
 }
 
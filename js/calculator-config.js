@@ -0,0 +1,107 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GLX PARTNERS - MODELO DE RECUPERAÇÃO LSS 4.0 (CONFIG COMPARTILHADA)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * PROPÓSITO (WHY):
+ * -----------------
+ * Fonte única das premissas de recuperação de desperdício usadas pelas
+ * calculadoras (js/calculator.js e ROICalculator em js/animations.js).
+ * Antes cada uma tinha seu "60%" fixo; agora ambas leem daqui para que os
+ * números apresentados ao cliente sejam sempre consistentes.
+ *
+ * MODELO:
+ * -------
+ * 1. **Categorias**: o desperdício informado é dividido por `peso` entre as
+ *    categorias, e cada uma tem sua própria taxa de `recuperacao`.
+ * 2. **Teto de maturidade**: a taxa ponderada nunca ultrapassa `tetoMaturidade`.
+ * 3. **Rampa**: a recuperação cresce mês a mês até a maturidade
+ *    (`linear` ou `logistica`, em `mesesAteMaturidade` meses).
+ *
+ * Exemplo (config padrão): 0.40×65% + 0.20×70% + 0.15×55% + 0.25×50% = 60,75%
+ * → limitado pelo teto de 60% → mesmos números da versão anterior em regime.
+ */
+
+const LSS_RECOVERY_MODEL = {
+    categorias: [
+        { id: 'capacidade_ociosa', label: 'Capacidade ociosa (agenda vaga / no-show)', peso: 0.40, recuperacao: 0.65 },
+        { id: 'retrabalho', label: 'Retrabalho administrativo', peso: 0.20, recuperacao: 0.70 },
+        { id: 'perda_estoque', label: 'Perda de estoque', peso: 0.15, recuperacao: 0.55 },
+        { id: 'glosas', label: 'Glosas de convênio', peso: 0.25, recuperacao: 0.50 }
+    ],
+    rampa: {
+        curva: 'linear',          // 'linear' | 'logistica'
+        mesesAteMaturidade: 6
+    },
+    tetoMaturidade: 0.60
+};
+
+const LSSRecovery = {
+    /**
+     * Taxa de recuperação em regime (após a rampa), já limitada pelo teto
+     * @param {Object} model - Modelo de recuperação (padrão: LSS_RECOVERY_MODEL)
+     * @returns {number} Fração do desperdício total recuperada (0-1)
+     */
+    taxaMaturidade(model = LSS_RECOVERY_MODEL) {
+        const pesoTotal = model.categorias.reduce((acc, c) => acc + c.peso, 0);
+        if (pesoTotal <= 0) return 0;
+        const ponderada = model.categorias.reduce((acc, c) => acc + c.peso * c.recuperacao, 0) / pesoTotal;
+        return Math.min(ponderada, model.tetoMaturidade);
+    },
+
+    /**
+     * Fração da maturidade atingida no mês informado (0 no início, 1 em regime)
+     * @param {number} mes - Mês do projeto (1 = primeiro mês)
+     */
+    fatorRampa(mes, model = LSS_RECOVERY_MODEL) {
+        const { curva, mesesAteMaturidade } = model.rampa;
+        if (mes <= 0) return 0;
+        if (!mesesAteMaturidade || mes >= mesesAteMaturidade) return 1;
+
+        const t = mes / mesesAteMaturidade;
+        if (curva === 'logistica') {
+            // Curva em S normalizada para passar por 0 e 1 nas extremidades
+            const s = (x) => 1 / (1 + Math.exp(-10 * (x - 0.5)));
+            return (s(t) - s(0)) / (s(1) - s(0));
+        }
+        return t;
+    },
+
+    /**
+     * Taxa de recuperação efetiva no mês (rampa × maturidade)
+     */
+    taxaNoMes(mes, model = LSS_RECOVERY_MODEL) {
+        return this.taxaMaturidade(model) * this.fatorRampa(mes, model);
+    },
+
+    /**
+     * Detalha a perda e o valor recuperado por categoria de desperdício.
+     * Se o teto for atingido, as categorias são reduzidas proporcionalmente.
+     * @param {number} perdaTotal - Valor total do desperdício no período
+     * @returns {Array<{id: string, label: string, perda: number, recuperado: number}>}
+     */
+    detalharPorCategoria(perdaTotal, model = LSS_RECOVERY_MODEL) {
+        const pesoTotal = model.categorias.reduce((acc, c) => acc + c.peso, 0) || 1;
+        const ponderada = model.categorias.reduce((acc, c) => acc + c.peso * c.recuperacao, 0) / pesoTotal;
+        const ajusteTeto = ponderada > 0 ? this.taxaMaturidade(model) / ponderada : 0;
+
+        return model.categorias.map(c => {
+            const perda = perdaTotal * (c.peso / pesoTotal);
+            return {
+                id: c.id,
+                label: c.label,
+                perda,
+                recuperado: perda * c.recuperacao * ajusteTeto
+            };
+        });
+    }
+};
+
+// Exportar para uso global (navegador) e para os testes (node --test)
+if (typeof window !== 'undefined') {
+    window.LSS_RECOVERY_MODEL = LSS_RECOVERY_MODEL;
+    window.LSSRecovery = LSSRecovery;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LSS_RECOVERY_MODEL, LSSRecovery };
+}
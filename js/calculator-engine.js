@@ -0,0 +1,404 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GLX PARTNERS - MOTOR DE CÁLCULO DE ROI (PURO, SEM DOM)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * PROPÓSITO (WHY):
+ * -----------------
+ * A calculadora da seção #calculadora (js/calculator.js) e o ROICalculator
+ * (js/animations.js) tinham fórmulas e formatadores próprios, com
+ * arredondamentos ligeiramente diferentes. Este módulo é a única fonte dos
+ * cálculos: recebe números, devolve um objeto estruturado e não toca no DOM.
+ * Qualquer widget (calculadoras, chatbot, relatório) deve chamar daqui.
+ *
+ * CONTRATO:
+ * ---------
+ * - Entradas em unidades de negócio: faturamento mensal (R$), desperdício e
+ *   margem em % (15 = 15%), investimento em R$, taxa de desconto em % a.a.
+ * - Saídas NÃO arredondadas; arredondar é papel exclusivo dos formatadores
+ *   (`formatarMoeda`, `formatarPercentual`, `formatarROI`, `formatarPayback`).
+ * - Valores monetários estão na moeda escolhida (sem conversão cambial);
+ *   formatadores e `interpretarNumero` seguem o Intl do locale em
+ *   `localizacao` (padrão pt-BR / BRL).
+ * - Depende apenas de LSSRecovery (js/calculator-config.js).
+ *
+ * CASOS DE REFERÊNCIA (config padrão, investimento 30k + 15k + 5k/mês, 12% a.a.;
+ * conferidos em tests/calculator-engine.test.js → `node --test tests/`):
+ * ------------------------------------------------------------------------------
+ * | faturamento | desp. | margem | valorRecuperavel | novaMargem | payback | ROI 12 / 24 / 36      | VPL       |
+ * |-------------|-------|--------|------------------|------------|---------|-----------------------|-----------|
+ * | 150.000     | 15%   | 10%    | 162.000          | 19,0%      | mês 10  | +22% / +76% / +101%   | 180.169   |
+ * | 50.000      | 10%   | 8%     | 36.000           | 14,0%      | —       | -73% / -61% / -55%    | -113.087  |
+ * | 0           | 15%   | 10%    | 0                | 19,0%      | —       | -100% / -100% / -100% | -196.874  |
+ *
+ * @example
+ * const r = LSSCalculatorEngine.calcular({ faturamento: 150000, desperdicio: 15, margem: 10 });
+ * r.valorRecuperavel;                              // 162000
+ * LSSCalculatorEngine.formatarMoeda(r.valorRecuperavel); // "R$ 162.000"
+ */
+
+const LSSCalculatorEngine = {
+    HORIZONTE_MAX: 36, // Meses projetados para ROI e VPL
+
+    /**
+     * Normaliza a entrada: converte para número e troca valores inválidos/negativos por 0.
+     * Campos de investimento ausentes valem 0 (ex.: widgets que só mostram a recuperação).
+     */
+    normalizarEntrada(entrada = {}) {
+        const num = (val) => {
+            const n = Number(val);
+            return Number.isFinite(n) && n > 0 ? n : 0;
+        };
+        return {
+            faturamento: num(entrada.faturamento),
+            desperdicio: num(entrada.desperdicio),
+            margem: num(entrada.margem),
+            consultoria: num(entrada.consultoria),
+            implantacao: num(entrada.implantacao),
+            mensalidade: num(entrada.mensalidade),
+            taxaDesconto: num(entrada.taxaDesconto)
+        };
+    },
+
+    /**
+     * Resultado completo de um cenário
+     * @param {Object} entrada - { faturamento, desperdicio, margem, consultoria?, implantacao?, mensalidade?, taxaDesconto? }
+     * @param {Object} model - Modelo de recuperação (padrão: LSS_RECOVERY_MODEL)
+     * @returns {{entrada: Object, taxaRecuperacao: number, perdaMensal: number, perdaAnual: number,
+     *            valorRecuperavel: number, ganhoMargemPontos: number, novaMargem: number,
+     *            categorias: Array, fluxo: Object}}
+     */
+    calcular(entrada, model = LSS_RECOVERY_MODEL) {
+        const e = this.normalizarEntrada(entrada);
+        const taxaRecuperacao = LSSRecovery.taxaMaturidade(model);
+
+        const perdaMensal = e.faturamento * (e.desperdicio / 100);
+        const perdaAnual = perdaMensal * 12;
+        // Pontos de margem recuperados independem do faturamento (evita 0/0 com faturamento zerado)
+        const ganhoMargemPontos = e.desperdicio * taxaRecuperacao;
+
+        return {
+            entrada: e,
+            taxaRecuperacao,
+            perdaMensal,
+            perdaAnual,
+            valorRecuperavel: perdaAnual * taxaRecuperacao, // Em regime (após a rampa)
+            ganhoMargemPontos,
+            novaMargem: e.margem + ganhoMargemPontos,
+            categorias: LSSRecovery.detalharPorCategoria(perdaAnual, model),
+            fluxo: this.fluxoDeCaixa(e, model)
+        };
+    },
+
+    /**
+     * Fluxo de caixa incremental do projeto, mês a mês (mês 0 = investimento inicial).
+     * Ganho do mês = desperdício recuperado (com rampa) - mensalidade da consultoria.
+     * @returns {{mensal: number[], acumulado: number[], payback: number|null, vpl: number,
+     *            roi12: number|null, roi24: number|null, roi36: number|null}}
+     */
+    fluxoDeCaixa(entrada, model = LSS_RECOVERY_MODEL, meses = this.HORIZONTE_MAX) {
+        const e = this.normalizarEntrada(entrada);
+        const investimentoInicial = e.consultoria + e.implantacao;
+        const taxaMensal = Math.pow(1 + e.taxaDesconto / 100, 1 / 12) - 1;
+
+        const mensal = [-investimentoInicial];
+        const acumulado = [-investimentoInicial];
+        const custoAcumulado = [investimentoInicial];
+        let vpl = -investimentoInicial;
+        let payback = null;
+
+        for (let mes = 1; mes <= meses; mes++) {
+            const ganho = e.faturamento * (e.desperdicio / 100) * LSSRecovery.taxaNoMes(mes, model);
+            const liquido = ganho - e.mensalidade;
+
+            mensal.push(liquido);
+            acumulado.push(acumulado[mes - 1] + liquido);
+            custoAcumulado.push(custoAcumulado[mes - 1] + e.mensalidade);
+            vpl += liquido / Math.pow(1 + taxaMensal, mes);
+
+            if (payback === null && acumulado[mes] >= 0) payback = mes;
+        }
+
+        // ROI = resultado líquido acumulado / custo total do projeto no período
+        const roi = (m) => m <= meses && custoAcumulado[m] > 0 ? (acumulado[m] / custoAcumulado[m]) * 100 : null;
+
+        return { mensal, acumulado, payback, vpl, roi12: roi(12), roi24: roi(24), roi36: roi(36) };
+    },
+
+    /**
+     * Lucro acumulado mês a mês: operação atual (margem fixa) vs LSS (margem cresce com a rampa)
+     * @returns {{atual: number[], lss: number[]}} Arrays com meses + 1 pontos (índice 0 = início)
+     */
+    projecaoLucro(entrada, meses, model = LSS_RECOVERY_MODEL) {
+        const e = this.normalizarEntrada(entrada);
+        const atual = [0];
+        const lss = [0];
+
+        for (let mes = 1; mes <= meses; mes++) {
+            const margemLSS = e.margem + e.desperdicio * LSSRecovery.taxaNoMes(mes, model);
+            atual.push(atual[mes - 1] + e.faturamento * (e.margem / 100));
+            lss.push(lss[mes - 1] + e.faturamento * (margemLSS / 100));
+        }
+        return { atual, lss };
+    },
+
+    // --- Sensibilidade ---
+
+    // Métricas que a análise de sensibilidade sabe extrair do resultado de `calcular`
+    METRICAS: {
+        valorRecuperavel: { label: 'Valor recuperável anual', tipo: 'moeda', valor: r => r.valorRecuperavel },
+        novaMargem: { label: 'Nova margem', tipo: 'percentual', valor: r => r.novaMargem },
+        vpl: { label: 'VPL (36 meses)', tipo: 'moeda', valor: r => r.fluxo.vpl }
+    },
+
+    // Premissas variadas no tornado; taxaRecuperacao altera o modelo, as demais a entrada
+    PREMISSAS: [
+        { campo: 'faturamento', label: 'Faturamento mensal' },
+        { campo: 'desperdicio', label: 'Desperdício operacional' },
+        { campo: 'margem', label: 'Margem líquida atual' },
+        { campo: 'taxaRecuperacao', label: 'Taxa de recuperação LSS' }
+    ],
+
+    /**
+     * Cópia do modelo com a taxa de recuperação em regime fixada em `taxa` (0-1).
+     * As categorias são escaladas proporcionalmente, preservando o detalhamento.
+     */
+    modeloComTaxa(taxa, model = LSS_RECOVERY_MODEL) {
+        const atual = LSSRecovery.taxaMaturidade(model);
+        const fator = atual > 0 ? taxa / atual : 0;
+        return {
+            ...model,
+            categorias: model.categorias.map(c => ({
+                ...c,
+                recuperacao: atual > 0 ? Math.min(1, c.recuperacao * fator) : taxa
+            })),
+            tetoMaturidade: taxa
+        };
+    },
+
+    /**
+     * Varia cada premissa em ±variacao% mantendo as demais fixas (dados do gráfico tornado).
+     * Itens ordenados do maior para o menor impacto na métrica escolhida.
+     * @param {Object} entrada - Mesma entrada de `calcular`
+     * @param {Object} options - { variacao: 10 (%), metrica: 'valorRecuperavel' | 'novaMargem' | 'vpl', model }
+     * @returns {{base: number, metrica: string, variacao: number,
+     *            itens: Array<{campo: string, label: string, baixo: number, alto: number, impacto: number}>}}
+     *
+     * @example
+     * // 150.000 / 15% / 10%, ±10%: faturamento, desperdício e taxa movem o valor recuperável em ±16.200;
+     * // margem não altera o valor recuperável (impacto 0), apenas a nova margem
+     */
+    sensibilidade(entrada, { variacao = 10, metrica = 'valorRecuperavel', model = LSS_RECOVERY_MODEL } = {}) {
+        const extrair = (this.METRICAS[metrica] || this.METRICAS.valorRecuperavel).valor;
+        const e = this.normalizarEntrada(entrada);
+        const taxaBase = LSSRecovery.taxaMaturidade(model);
+        const base = extrair(this.calcular(e, model));
+
+        const simular = (campo, fator) => {
+            if (campo === 'taxaRecuperacao') {
+                return extrair(this.calcular(e, this.modeloComTaxa(Math.min(1, taxaBase * fator), model)));
+            }
+            return extrair(this.calcular({ ...e, [campo]: e[campo] * fator }, model));
+        };
+
+        const itens = this.PREMISSAS.map(({ campo, label }) => {
+            const baixo = simular(campo, 1 - variacao / 100);
+            const alto = simular(campo, 1 + variacao / 100);
+            return { campo, label, baixo, alto, impacto: Math.abs(alto - baixo) };
+        }).sort((a, b) => b.impacto - a.impacto);
+
+        return { base, metrica, variacao, itens };
+    },
+
+    /**
+     * Grade desperdício (%) × taxa de recuperação (0-1) para o mapa de calor.
+     * @returns {{desperdicios: number[], taxas: number[], valores: number[][]}} valores[i][j] → desperdicios[i] × taxas[j]
+     */
+    mapaSensibilidade(entrada, {
+        desperdicios = [5, 10, 15, 20, 25, 30, 35, 40],
+        taxas = [0.3, 0.4, 0.5, 0.6, 0.7, 0.8],
+        metrica = 'valorRecuperavel',
+        model = LSS_RECOVERY_MODEL
+    } = {}) {
+        const extrair = (this.METRICAS[metrica] || this.METRICAS.valorRecuperavel).valor;
+        const e = this.normalizarEntrada(entrada);
+        const modelos = taxas.map(taxa => this.modeloComTaxa(taxa, model));
+
+        const valores = desperdicios.map(desperdicio =>
+            modelos.map(m => extrair(this.calcular({ ...e, desperdicio }, m)))
+        );
+        return { desperdicios, taxas, valores };
+    },
+
+    // --- Localização (moeda + locale) ---
+
+    // Opções oferecidas na UI (locale → moeda sugerida); qualquer locale/moeda ISO 4217 aceito pelo Intl também funciona
+    LOCALES: [
+        { locale: 'pt-BR', label: 'Português (Brasil)', moeda: 'BRL' },
+        { locale: 'pt-PT', label: 'Português (Portugal)', moeda: 'EUR' },
+        { locale: 'es-MX', label: 'Español (México)', moeda: 'MXN' },
+        { locale: 'es-AR', label: 'Español (Argentina)', moeda: 'ARS' },
+        { locale: 'es-CO', label: 'Español (Colombia)', moeda: 'COP' },
+        { locale: 'es-CL', label: 'Español (Chile)', moeda: 'CLP' },
+        { locale: 'en-US', label: 'English (US)', moeda: 'USD' }
+    ],
+    MOEDAS: ['BRL', 'EUR', 'USD', 'MXN', 'ARS', 'COP', 'CLP'],
+
+    localizacao: { locale: 'pt-BR', moeda: 'BRL' },
+
+    // Atalhos aceitos em qualquer locale; aplicados por último, valem sobre o Intl
+    // (es: "B" = billón = 1e12 e pt-PT: "Bi" = bilião = 1e12, mas "2b" digitado quer dizer 2 bilhões)
+    ATALHOS_NUMERICOS: { k: 1e3, mil: 1e3, m: 1e6, mi: 1e6, b: 1e9, bi: 1e9 },
+
+    // Texto do payback por idioma do locale ({n} = mês ou horizonte)
+    TEXTOS_PAYBACK: {
+        pt: { mes: 'Mês {n}', alem: '> {n} meses' },
+        es: { mes: 'Mes {n}', alem: '> {n} meses' },
+        en: { mes: 'Month {n}', alem: '> {n} months' }
+    },
+
+    /**
+     * Define locale e moeda padrão dos formatadores. Valores não suportados pelo Intl são ignorados.
+     * @param {{locale?: string, moeda?: string}} localizacao
+     * @returns {{locale: string, moeda: string}} Localização efetivamente aplicada
+     */
+    definirLocalizacao({ locale, moeda } = {}) {
+        const proxima = { ...this.localizacao };
+        try {
+            if (locale) proxima.locale = Intl.getCanonicalLocales(locale)[0];
+            if (moeda) {
+                new Intl.NumberFormat(proxima.locale, { style: 'currency', currency: moeda });
+                proxima.moeda = moeda.toUpperCase();
+            }
+            this.localizacao = proxima;
+        } catch (e) {
+            console.warn('[LSSCalculatorEngine] Localização inválida, mantendo a atual:', e);
+        }
+        return this.localizacao;
+    },
+
+    // Símbolo da moeda no locale atual (ex.: "R$", "€", "US$")
+    simboloMoeda({ locale = this.localizacao.locale, moeda = this.localizacao.moeda } = {}) {
+        const parte = new Intl.NumberFormat(locale, { style: 'currency', currency: moeda })
+            .formatToParts(0)
+            .find(p => p.type === 'currency');
+        return parte ? parte.value : moeda;
+    },
+
+    /**
+     * Sufixos compactos do locale → multiplicador (ex.: pt-BR { mil: 1e3, mi: 1e6, bi: 1e9 }).
+     * Lidos do próprio Intl (notation: 'compact'); ATALHOS_NUMERICOS (k/mil, m/mi, b/bi)
+     * valem em qualquer locale e têm prioridade sobre o sufixo do Intl.
+     */
+    sufixosCompactos(locale = this.localizacao.locale) {
+        const sufixos = {};
+        const formatter = new Intl.NumberFormat(locale, { notation: 'compact', maximumFractionDigits: 0 });
+        const { decimal } = this.separadores(locale);
+
+        [1e3, 1e6, 1e9, 1e12].forEach(valor => {
+            const partes = formatter.formatToParts(valor);
+            const sufixo = partes.filter(p => p.type === 'compact').map(p => p.value).join('').replace(/\s/g, '').toLowerCase();
+            const numero = parseFloat(partes.filter(p => p.type === 'integer' || p.type === 'fraction' || p.type === 'decimal')
+                .map(p => p.type === 'decimal' && p.value === decimal ? '.' : p.value).join(''));
+            // Alguns locales repetem o sufixo (es: 1000 M = mil milhões); vale o primeiro
+            if (sufixo && numero && !(sufixo in sufixos)) sufixos[sufixo] = valor / numero;
+        });
+
+        return { ...sufixos, ...this.ATALHOS_NUMERICOS };
+    },
+
+    separadores(locale = this.localizacao.locale) {
+        const partes = new Intl.NumberFormat(locale).formatToParts(12345.6);
+        return {
+            grupo: (partes.find(p => p.type === 'group') || { value: ',' }).value,
+            decimal: (partes.find(p => p.type === 'decimal') || { value: '.' }).value
+        };
+    },
+
+    /**
+     * Converte texto digitado em número segundo as regras do locale.
+     * Aceita símbolo de moeda, separadores de milhar e sufixos compactos localizados.
+     * Um separador de milhar que não separa um bloco de 3 dígitos é tratado como decimal
+     * (pt-BR: "1.5M" → 1.500.000, mas "150.000" → 150.000).
+     *
+     * @example
+     * interpretarNumero('R$ 1,5 mi', 'pt-BR') // 1500000
+     * interpretarNumero('45 mil €', 'pt-PT')  // 45000
+     * interpretarNumero('$2.5K', 'en-US')     // 2500
+     */
+    interpretarNumero(texto, locale = this.localizacao.locale) {
+        const match = String(texto).toLowerCase().match(/(\d[\d.,'\s\u00a0\u202f]*)([^\d.,]*)/u);
+        if (!match) return 0;
+
+        const { grupo, decimal } = this.separadores(locale);
+        const sufixo = match[2].replace(/[^\p{L}]/gu, '');
+        const multiplicador = this.sufixosCompactos(locale)[sufixo] || 1;
+
+        // Separadores de milhar com espaço (pt-PT, fr) chegam como espaço comum ou NBSP
+        let numero = match[1].replace(/[\s\u00a0\u202f']/g, ' ').trim();
+        const grupoNormalizado = /\s/.test(grupo) ? ' ' : grupo;
+
+        const blocos = numero.split(grupoNormalizado);
+        const grupoComoDecimal = !numero.includes(decimal) && blocos.length === 2 && blocos[1].length !== 3;
+        numero = grupoComoDecimal
+            ? blocos.join('.')
+            : blocos.join('').split(decimal).join('.');
+
+        return (parseFloat(numero.replace(/\s/g, '')) || 0) * multiplicador;
+    },
+
+    // --- Formatters (único ponto de arredondamento) ---
+
+    /**
+     * Moeda sem centavos no locale/moeda atuais; acima de 1 milhão usa notação
+     * compacta do próprio locale (pt-BR "R$ 1,5 mi", en-US "$1.5M", pt-PT "1,5 M €")
+     * @param {number} valor
+     * @param {Object} options - { compacto: true, locale, moeda }
+     */
+    formatarMoeda(valor, { compacto = true, locale = this.localizacao.locale, moeda = this.localizacao.moeda } = {}) {
+        const usarCompacto = compacto && Math.abs(valor) >= 1000000;
+        return new Intl.NumberFormat(locale, {
+            style: 'currency',
+            currency: moeda,
+            notation: usarCompacto ? 'compact' : 'standard',
+            minimumFractionDigits: 0,
+            maximumFractionDigits: usarCompacto ? 1 : 0
+        }).format(valor);
+    },
+
+    formatarNumero(valor, { locale = this.localizacao.locale } = {}) {
+        return new Intl.NumberFormat(locale, { maximumFractionDigits: 2 }).format(valor);
+    },
+
+    // Ex.: 19 → "19,0%" (pt-BR) | "19.0%" (en-US)
+    formatarPercentual(valor, casas = 1, { locale = this.localizacao.locale } = {}) {
+        return new Intl.NumberFormat(locale, {
+            style: 'percent',
+            minimumFractionDigits: casas,
+            maximumFractionDigits: casas
+        }).format(valor / 100);
+    },
+
+    // Ex.: 21.6 → "+22%" | null → "—"
+    formatarROI(valor, { locale = this.localizacao.locale } = {}) {
+        if (valor === null) return '—';
+        return new Intl.NumberFormat(locale, { style: 'percent', signDisplay: 'always', maximumFractionDigits: 0 }).format(valor / 100);
+    },
+
+    // Ex.: 10 → "Mês 10" (pt) | "Month 10" (en); null → "> 36 meses"
+    formatarPayback(mes, { locale = this.localizacao.locale } = {}) {
+        const idioma = String(locale).toLowerCase().split('-')[0];
+        const textos = this.TEXTOS_PAYBACK[idioma] || this.TEXTOS_PAYBACK.pt;
+        return mes === null
+            ? textos.alem.replace('{n}', this.HORIZONTE_MAX)
+            : textos.mes.replace('{n}', mes);
+    }
+};
+
+// Exportar para uso global (navegador) e para os testes (node --test)
+if (typeof window !== 'undefined') {
+    window.LSSCalculatorEngine = LSSCalculatorEngine;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LSSCalculatorEngine };
+}
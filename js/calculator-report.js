@@ -0,0 +1,154 @@
+/**
+ * 📄 CALCULATOR REPORT - ROI REPORT EXPORT
+ * Role: Gera o relatório da simulação (entradas, resultados, gráficos e premissas)
+ * Patterns: Print Stylesheet (css/print-report.css) → "Salvar como PDF" do navegador
+ * Governance: 100% client-side | Sem dependências externas | textContent para dados do usuário
+ */
+
+class CalculatorReport {
+    constructor(triggerId, options = {}) {
+        this.trigger = document.getElementById(triggerId);
+        if (!this.trigger) return;
+
+        this.logoSrc = options.logoSrc || 'img/glx-logo.png';
+        this.reportId = options.reportId || 'calc-report';
+
+        this.init();
+    }
+
+    init() {
+        this.trigger.addEventListener('click', () => this.print());
+        // Remove o relatório após imprimir/cancelar para não poluir o DOM
+        window.addEventListener('afterprint', () => this.clear());
+    }
+
+    print() {
+        if (!window.glxCalculator) {
+            console.error('[CalculatorReport] Calculadora não inicializada');
+            return;
+        }
+
+        this.clear();
+        const snapshot = window.glxCalculator.getSnapshot();
+        document.body.appendChild(this.build(snapshot, window.glxCalculator.getChartImages()));
+
+        if (window.trackEvent) {
+            window.trackEvent('calculator_report_exported', { scenarios: snapshot.scenarios.length });
+        }
+
+        window.print();
+    }
+
+    clear() {
+        const existing = document.getElementById(this.reportId);
+        if (existing) existing.remove();
+    }
+
+    // Utility: cria elemento com texto seguro
+    el(tag, className, text) {
+        const node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== undefined) node.textContent = text;
+        return node;
+    }
+
+    build(snapshot, images) {
+        const fmt = window.glxCalculator.formatCurrency;
+        const report = this.el('div', 'report');
+        report.id = this.reportId;
+
+        // Header
+        const header = this.el('header', 'report-header');
+        const logo = this.el('img', 'report-logo');
+        logo.src = this.logoSrc;
+        logo.alt = 'GLX Partners';
+        const title = this.el('div');
+        title.append(
+            this.el('h1', null, 'Simulação de Potencial Oculto — LSS 4.0'),
+            this.el('p', 'report-muted', `Gerado em ${new Date().toLocaleString(snapshot.localizacao.locale)} · Valores em ${snapshot.localizacao.moeda}`)
+        );
+        header.append(logo, title);
+        report.appendChild(header);
+
+        // Inputs & Results por cenário
+        report.appendChild(this.el('h2', null, 'Entradas e Resultados'));
+        const table = this.el('table', 'report-table');
+        const rows = [
+            ['Faturamento mensal', s => fmt(s.faturamento)],
+            ['Desperdício operacional', s => LSSCalculatorEngine.formatarPercentual(s.desperdicio)],
+            ['Margem líquida atual', s => LSSCalculatorEngine.formatarPercentual(s.margem)],
+            ['Honorários de consultoria', s => fmt(s.consultoria)],
+            ['Implantação', s => fmt(s.implantacao)],
+            ['Mensalidade', s => fmt(s.mensalidade)],
+            ['Taxa de desconto', s => `${LSSCalculatorEngine.formatarPercentual(s.taxaDesconto)} a.a.`],
+            ['Dinheiro "na mesa" (anual)', s => fmt(s.resultado.valorRecuperavel), true],
+            ['Nova margem projetada', s => LSSCalculatorEngine.formatarPercentual(s.resultado.novaMargem), true],
+            ['Payback', s => LSSCalculatorEngine.formatarPayback(s.resultado.fluxo.payback), true],
+            ['ROI 12 / 24 / 36 meses', s => ['roi12', 'roi24', 'roi36'].map(k => LSSCalculatorEngine.formatarROI(s.resultado.fluxo[k])).join(' / '), true],
+            ['VPL (36 meses)', s => fmt(s.resultado.fluxo.vpl), true]
+        ];
+
+        const headRow = this.el('tr');
+        headRow.appendChild(this.el('th'));
+        snapshot.scenarios.forEach(s => headRow.appendChild(this.el('th', null, s.nome)));
+        table.appendChild(this.el('thead')).appendChild(headRow);
+
+        const body = this.el('tbody');
+        rows.forEach(([label, value, highlight]) => {
+            const tr = this.el('tr', highlight ? 'report-highlight' : null);
+            tr.appendChild(this.el('td', null, label));
+            snapshot.scenarios.forEach(s => tr.appendChild(this.el('td', null, value(s))));
+            body.appendChild(tr);
+        });
+        table.appendChild(body);
+        report.appendChild(table);
+
+        // Charts
+        report.appendChild(this.el('h2', null, 'Gráficos'));
+        const charts = this.el('div', 'report-charts');
+        [[images.line, `Projeção de lucro acumulado (${snapshot.horizonte} meses)`], [images.radar, 'Salto de maturidade']].forEach(([src, caption]) => {
+            const figure = this.el('figure');
+            const img = this.el('img');
+            img.src = src;
+            img.alt = caption;
+            figure.append(img, this.el('figcaption', null, caption));
+            charts.appendChild(figure);
+        });
+        report.appendChild(charts);
+
+        // Assumptions
+        report.appendChild(this.el('h2', null, 'Premissas'));
+        report.appendChild(this.buildAssumptions(snapshot));
+
+        // Footer
+        const footer = this.el('footer', 'report-footer');
+        footer.append(
+            this.el('p', null, 'Reabrir esta simulação: ' + snapshot.shareURL),
+            this.el('p', null, 'Valores estimados com base nas informações fornecidas. Não constituem garantia de resultado. GLX Partners — contato@glxpartners.com')
+        );
+        report.appendChild(footer);
+
+        return report;
+    }
+
+    buildAssumptions(snapshot) {
+        const list = this.el('ul', 'report-list');
+        const model = window.LSS_RECOVERY_MODEL;
+        const pct = (v) => `${(v * 100).toFixed(0)}%`;
+
+        list.appendChild(this.el('li', null, `Taxa de recuperação em regime: ${pct(snapshot.recuperacaoLSS)} do desperdício (teto de maturidade: ${pct(model.tetoMaturidade)}).`));
+        list.appendChild(this.el('li', null, `Rampa de implantação ${model.rampa.curva}: maturidade atingida no mês ${model.rampa.mesesAteMaturidade}.`));
+        model.categorias.forEach(c => {
+            list.appendChild(this.el('li', null, `${c.label}: ${pct(c.peso)} do desperdício, recuperação de ${pct(c.recuperacao)}.`));
+        });
+        list.appendChild(this.el('li', null, 'Fluxo de caixa: ganho mensal recuperado menos mensalidade; investimento inicial no mês 0. ROI = resultado acumulado ÷ custo total no período.'));
+        return list;
+    }
+}
+
+// Auto-init
+document.addEventListener('DOMContentLoaded', () => {
+    new CalculatorReport('calc-export');
+});
+
+window.CalculatorReport = CalculatorReport;
@@ -0,0 +1,170 @@
+/**
+ * 🌪️ CALCULATOR SENSITIVITY - ANÁLISE DE SENSIBILIDADE
+ * Role: Mostra qual premissa (faturamento, desperdício, margem, taxa de recuperação) mais move o resultado
+ * Patterns: Tornado (Chart.js, barras horizontais) + mapa de calor em tabela | CustomEvent 'calculatorUpdated'
+ * Governance: Cálculos 100% no motor (js/calculator-engine.js) | Sem DOM de terceiros, textContent em tudo
+ *
+ * O cenário ativo chega pelo evento 'calculatorUpdated' disparado por js/calculator.js;
+ * na inicialização é lido de window.glxCalculator.getSnapshot().
+ */
+
+class CalculatorSensitivity {
+    constructor(containerId, options = {}) {
+        this.container = document.getElementById(containerId);
+        if (!this.container || typeof Chart === 'undefined' || typeof LSSCalculatorEngine === 'undefined') return;
+
+        this.engine = LSSCalculatorEngine;
+        this.metricaSelect = document.getElementById(options.metricaId || 'sensitivity-metrica');
+        this.variacaoSelect = document.getElementById(options.variacaoId || 'sensitivity-variacao');
+        this.heatmap = document.getElementById(options.heatmapId || 'sensitivity-heatmap');
+        this.canvas = document.getElementById(options.canvasId || 'tornadoChart');
+
+        this.scenario = null;
+        this.chart = null;
+        this.base = 0;
+
+        this.init();
+    }
+
+    init() {
+        this.chart = this.createChart();
+
+        this.metricaSelect.addEventListener('change', () => this.render());
+        this.variacaoSelect.addEventListener('change', () => this.render());
+
+        document.addEventListener('calculatorUpdated', (e) => {
+            this.scenario = e.detail.scenario;
+            this.render();
+        });
+
+        if (window.glxCalculator) {
+            const snapshot = window.glxCalculator.getSnapshot();
+            this.scenario = snapshot.scenarios.find(s => s.id === snapshot.activeId) || snapshot.scenarios[0];
+            this.render();
+        }
+    }
+
+    // Formata valores absolutos e variações conforme o tipo da métrica
+    format(valor, { delta = false } = {}) {
+        const metrica = this.engine.METRICAS[this.metricaSelect.value] || this.engine.METRICAS.valorRecuperavel;
+        const sinal = delta && valor > 0 ? '+' : '';
+        if (metrica.tipo === 'percentual') {
+            return delta
+                ? `${sinal}${this.engine.formatarNumero(Number(valor.toFixed(1)))} p.p.`
+                : this.engine.formatarPercentual(valor);
+        }
+        return `${sinal}${this.engine.formatarMoeda(valor)}`;
+    }
+
+    createChart() {
+        return new Chart(this.canvas.getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: [],
+                datasets: [
+                    { label: '', data: [], backgroundColor: '#f43f5e', borderRadius: 6 },
+                    { label: '', data: [], backgroundColor: '#7c3aed', borderRadius: 6 }
+                ]
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { position: 'bottom', labels: { boxWidth: 12, font: { weight: 'bold' } } },
+                    tooltip: {
+                        callbacks: {
+                            // Ex.: "+10%: R$ 178.200 (+R$ 16.200)"
+                            label: (ctx) => `${ctx.dataset.label}: ${this.format(this.base + ctx.raw)} (${this.format(ctx.raw, { delta: true })})`
+                        }
+                    }
+                },
+                scales: {
+                    x: { stacked: true, ticks: { callback: value => this.format(value, { delta: true }) } },
+                    y: { stacked: true, grid: { display: false } }
+                }
+            }
+        });
+    }
+
+    render() {
+        if (!this.scenario) return;
+
+        const metrica = this.metricaSelect.value;
+        const variacao = parseInt(this.variacaoSelect.value, 10) || 10;
+
+        this.renderTornado(this.engine.sensibilidade(this.scenario, { variacao, metrica }));
+        this.renderHeatmap(this.engine.mapaSensibilidade(this.scenario, { metrica }));
+    }
+
+    // Barras partem do resultado base: à esquerda a premissa reduzida, à direita a aumentada
+    renderTornado({ base, variacao, itens }) {
+        this.base = base;
+        this.chart.data.labels = itens.map(item => item.label);
+        this.chart.data.datasets[0].label = `-${variacao}%`;
+        this.chart.data.datasets[0].data = itens.map(item => item.baixo - base);
+        this.chart.data.datasets[1].label = `+${variacao}%`;
+        this.chart.data.datasets[1].data = itens.map(item => item.alto - base);
+        this.chart.update();
+    }
+
+    renderHeatmap({ desperdicios, taxas, valores }) {
+        const todos = valores.flat();
+        const min = Math.min(...todos);
+        const max = Math.max(...todos);
+
+        // Célula mais próxima do cenário ativo recebe destaque
+        const maisProximo = (lista, alvo) => lista.reduce((best, val, i) => Math.abs(val - alvo) < Math.abs(lista[best] - alvo) ? i : best, 0);
+        const linhaAtual = maisProximo(desperdicios, this.scenario.desperdicio);
+        const colunaAtual = maisProximo(taxas, LSSRecovery.taxaMaturidade());
+
+        const table = document.createElement('table');
+        table.className = 'w-full text-xs text-center border-separate border-spacing-1';
+
+        const headRow = document.createElement('tr');
+        const corner = document.createElement('th');
+        corner.className = 'text-[10px] font-bold text-slate-400 text-left';
+        corner.textContent = 'Desp. × Recup.';
+        headRow.appendChild(corner);
+        taxas.forEach(taxa => {
+            const th = document.createElement('th');
+            th.className = 'font-bold text-slate-500 py-1';
+            th.textContent = this.engine.formatarPercentual(taxa * 100, 0);
+            headRow.appendChild(th);
+        });
+        table.appendChild(document.createElement('thead')).appendChild(headRow);
+
+        const body = document.createElement('tbody');
+        valores.forEach((linha, i) => {
+            const tr = document.createElement('tr');
+            const th = document.createElement('th');
+            th.className = 'font-bold text-slate-500 text-left pr-2';
+            th.textContent = this.engine.formatarPercentual(desperdicios[i], 0);
+            tr.appendChild(th);
+
+            linha.forEach((valor, j) => {
+                const intensidade = max > min ? (valor - min) / (max - min) : 0;
+                const td = document.createElement('td');
+                td.className = 'rounded-md px-2 py-2 font-bold whitespace-nowrap ' +
+                    (intensidade > 0.55 ? 'text-white' : 'text-slate-700') +
+                    (i === linhaAtual && j === colunaAtual ? ' ring-2 ring-green-400' : '');
+                td.style.backgroundColor = `rgba(124, 58, 237, ${(0.08 + intensidade * 0.85).toFixed(2)})`;
+                td.textContent = this.format(valor);
+                td.title = `Desperdício ${th.textContent} × recuperação ${this.engine.formatarPercentual(taxas[j] * 100, 0)}`;
+                tr.appendChild(td);
+            });
+            body.appendChild(tr);
+        });
+        table.appendChild(body);
+
+        this.heatmap.innerHTML = '';
+        this.heatmap.appendChild(table);
+    }
+}
+
+// Auto-init
+document.addEventListener('DOMContentLoaded', () => {
+    new CalculatorSensitivity('calc-sensitivity');
+});
+
+window.CalculatorSensitivity = CalculatorSensitivity;
@@ -1,5 +1,7 @@
 /**
  * LSS 4.0 Calculator Logic & Charts - GLX Partners
+ * Suporta cenários nomeados (ex: Conservador x Esperado x Agressivo) para comparação lado a lado
+ * Fórmulas e formatadores vêm do motor compartilhado (js/calculator-engine.js); aqui fica só a UI
  */
 
 document.addEventListener('DOMContentLoaded', function() {
@@ -9,12 +11,155 @@ document.addEventListener('DOMContentLoaded', function() {
         return;
     }
 
+    // Motor de cálculo + modelo de recuperação compartilhados (js/calculator-engine.js, js/calculator-config.js)
+    if (typeof LSSCalculatorEngine === 'undefined' || typeof LSSRecovery === 'undefined') {
+        console.error('js/calculator-config.js and js/calculator-engine.js are required for the calculator.');
+        return;
+    }
+    const Engine = LSSCalculatorEngine;
+
     // --- State & Constants ---
+    const STORAGE_KEY = 'glx_calc_scenarios';
+    const MAX_SCENARIOS = 5;
+    const SCENARIO_COLORS = ['#7c3aed', '#0ea5e9', '#d946ef', '#10b981', '#f59e0b'];
+
+    // Investimento padrão do projeto (honorários, implantação, mensalidade) e taxa de desconto anual
+    const INVESTIMENTO_PADRAO = { consultoria: 30000, implantacao: 15000, mensalidade: 5000, taxaDesconto: 12 };
+
+    // Limites aceitos para cada campo numérico (inputs e links compartilhados)
+    const LIMITES = {
+        faturamento: 1000000000, desperdicio: 100, margem: 100,
+        consultoria: 1000000000, implantacao: 1000000000, mensalidade: 100000000, taxaDesconto: 100
+    };
+
+    // Locale/moeda padrão; clínicas de Portugal e América Latina escolhem no seletor
+    const LOCALIZACAO_PADRAO = { locale: 'pt-BR', moeda: 'BRL' };
+
+    const createScenario = (nome, values = {}) => ({
+        id: `cenario-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        nome: nome,
+        faturamento: values.faturamento ?? 150000,
+        desperdicio: values.desperdicio ?? 15,
+        margem: values.margem ?? 10,
+        consultoria: values.consultoria ?? INVESTIMENTO_PADRAO.consultoria,
+        implantacao: values.implantacao ?? INVESTIMENTO_PADRAO.implantacao,
+        mensalidade: values.mensalidade ?? INVESTIMENTO_PADRAO.mensalidade,
+        taxaDesconto: values.taxaDesconto ?? INVESTIMENTO_PADRAO.taxaDesconto
+    });
+
+    const loadScenarios = () => {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved && Array.isArray(saved.scenarios) && saved.scenarios.length) {
+                // Completa cenários salvos antes da existência de campos novos (ex: investimento)
+                saved.scenarios = saved.scenarios.map(s => ({ ...createScenario(s.nome, s), id: s.id }));
+                return saved;
+            }
+        } catch (e) {
+            console.warn('[Calculator] Cenários salvos inválidos, usando padrão:', e);
+        }
+        const base = createScenario('Cenário Base');
+        return { scenarios: [base], activeId: base.id, localizacao: LOCALIZACAO_PADRAO };
+    };
+
+    // --- Shareable URL (?sim=...) ---
+    // Formato compacto e versionado: { v, a: índice do cenário ativo, h: horizonte, s: [[nome, faturamento, ...]], l?: [locale, moeda] }
+    const URL_PARAM = 'sim';
+    const URL_FIELDS = ['nome', 'faturamento', 'desperdicio', 'margem', 'consultoria', 'implantacao', 'mensalidade', 'taxaDesconto'];
+    const HORIZONTES = [12, 24, 36];
+
+    const toBase64Url = (text) => {
+        let binary = '';
+        new TextEncoder().encode(text).forEach(b => { binary += String.fromCharCode(b); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    };
+
+    const fromBase64Url = (encoded) => {
+        const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+        return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+    };
+
+    const encodeState = (snapshot, horizonte, localizacao = LOCALIZACAO_PADRAO) => {
+        const data = {
+            v: 1,
+            a: Math.max(0, snapshot.scenarios.findIndex(s => s.id === snapshot.activeId)),
+            h: horizonte,
+            s: snapshot.scenarios.map(scenario => URL_FIELDS.map(field => scenario[field]))
+        };
+        // Só inclui a localização quando difere do padrão (links antigos continuam idênticos)
+        if (localizacao.locale !== LOCALIZACAO_PADRAO.locale || localizacao.moeda !== LOCALIZACAO_PADRAO.moeda) {
+            data.l = [localizacao.locale, localizacao.moeda];
+        }
+        return toBase64Url(JSON.stringify(data));
+    };
+
+    const decodeState = (encoded) => {
+        const data = JSON.parse(fromBase64Url(encoded));
+        if (data.v !== 1 || !Array.isArray(data.s) || !data.s.length) {
+            throw new Error('Formato de simulação desconhecido');
+        }
+
+        const scenarios = data.s.slice(0, MAX_SCENARIOS).map(values => {
+            const raw = {};
+            URL_FIELDS.slice(1).forEach((field, i) => {
+                const val = Array.isArray(values) ? values[i + 1] : undefined;
+                // Valores ausentes ou inválidos caem no padrão do createScenario
+                if (typeof val === 'number' && isFinite(val)) {
+                    raw[field] = Math.min(LIMITES[field], Math.max(0, val));
+                }
+            });
+            const nome = Array.isArray(values) && values[0] ? String(values[0]).slice(0, 40) : 'Cenário';
+            return createScenario(nome, raw);
+        });
+
+        return {
+            scenarios,
+            activeId: (scenarios[data.a] || scenarios[0]).id,
+            horizonte: HORIZONTES.includes(data.h) ? data.h : 12,
+            localizacao: Array.isArray(data.l) ? { locale: String(data.l[0]), moeda: String(data.l[1]) } : LOCALIZACAO_PADRAO
+        };
+    };
+
+    const readStateFromURL = () => {
+        const encoded = new URLSearchParams(window.location.search).get(URL_PARAM);
+        if (!encoded) return null;
+        try {
+            return decodeState(encoded);
+        } catch (e) {
+            console.warn('[Calculator] Link de simulação inválido, ignorando:', e);
+            return null;
+        }
+    };
+
+    // Estado padrão codificado: usado para saber se o visitante realmente simulou algo
+    const DEFAULT_ENCODED = (() => {
+        const base = createScenario('Cenário Base');
+        return encodeState({ scenarios: [base], activeId: base.id }, 12);
+    })();
+
+    // Link compartilhado tem prioridade sobre o que está salvo no navegador, mas só
+    // substitui os cenários salvos do visitante depois que ele editar a simulação
+    const sharedState = readStateFromURL();
+    const saved = sharedState || loadScenarios();
+    let persistEnabled = !sharedState;
     const state = {
-        faturamento: 150000,
-        desperdicio: 15,
-        margem: 10,
-        recuperacaoLSS: 0.60 // A metodologia LSS 4.0 costuma recuperar 60% do desperdício
+        scenarios: saved.scenarios,
+        activeId: saved.activeId,
+        // definirLocalizacao descarta locale/moeda inválidos (ex.: link adulterado)
+        localizacao: { ...Engine.definirLocalizacao(saved.localizacao || LOCALIZACAO_PADRAO) },
+        recuperacaoLSS: LSSRecovery.taxaMaturidade() // Taxa em regime (após a rampa de implantação)
+    };
+
+    const activeScenario = () => state.scenarios.find(s => s.id === state.activeId) || state.scenarios[0];
+    const scenarioColor = (scenario) => SCENARIO_COLORS[state.scenarios.indexOf(scenario) % SCENARIO_COLORS.length];
+
+    const persistScenarios = () => {
+        if (!persistEnabled) return;
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ scenarios: state.scenarios, activeId: state.activeId, localizacao: state.localizacao }));
+        } catch (e) {
+            console.error('Failed to save calculator scenarios:', e);
+        }
     };
 
     // --- Elements ---
@@ -26,136 +171,380 @@ document.addEventListener('DOMContentLoaded', function() {
         inputDesperdicio: document.getElementById('input-desperdicio'),
         inputMargem: document.getElementById('input-margem'),
         resultDinheiroMesa: document.getElementById('result-dinheiro-mesa'),
-        resultNovaMargem: document.getElementById('result-nova-margem')
+        resultNovaMargem: document.getElementById('result-nova-margem'),
+        inputConsultoria: document.getElementById('input-consultoria'),
+        inputImplantacao: document.getElementById('input-implantacao'),
+        inputMensalidade: document.getElementById('input-mensalidade'),
+        inputTaxaDesconto: document.getElementById('input-taxa-desconto'),
+        resultPayback: document.getElementById('result-payback'),
+        resultRoi12: document.getElementById('result-roi-12'),
+        resultRoi24: document.getElementById('result-roi-24'),
+        resultRoi36: document.getElementById('result-roi-36'),
+        resultVpl: document.getElementById('result-vpl'),
+        selectHorizonte: document.getElementById('calc-horizonte'),
+        selectLocale: document.getElementById('calc-locale'),
+        selectMoeda: document.getElementById('calc-moeda'),
+        currencySymbols: document.querySelectorAll('[data-currency-symbol]'),
+        lineChartTitle: document.getElementById('lineChart-title'),
+        scenarioShare: document.getElementById('scenario-share'),
+        scenarioTabs: document.getElementById('scenario-tabs'),
+        scenarioName: document.getElementById('scenario-name'),
+        scenarioAdd: document.getElementById('scenario-add'),
+        scenarioDuplicate: document.getElementById('scenario-duplicate'),
+        scenarioRemove: document.getElementById('scenario-remove'),
+        scenarioResults: document.getElementById('scenario-results'),
+        lineChartLegend: document.getElementById('lineChart-legend')
     };
 
-    // --- Formatters ---
-    const formatBRL = (val) => {
-        if (val >= 1000000000) return `R$ ${(val / 1000000000).toFixed(1)}B`;
-        if (val >= 1000000) return `R$ ${(val / 1000000).toFixed(1)}M`;
-        return new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL', maximumFractionDigits: 0 }).format(val);
-    };
+    // --- Formatters & parsing (js/calculator-engine.js, seguem o locale/moeda selecionados) ---
+    const formatCurrency = (val) => Engine.formatarMoeda(val);
+    const formatNumber = (val) => Engine.formatarNumero(val);
+    const formatROI = (val) => Engine.formatarROI(val);
+    const formatPayback = (mes) => Engine.formatarPayback(mes);
+    const parseNumber = (str) => Engine.interpretarNumero(str);
 
-    const formatNumber = (val) => new Intl.NumberFormat('pt-BR').format(val);
-    const parseNumber = (str) => {
-        let clean = str.replace(/[R$\s.]/g, '').replace(',', '.').toLowerCase();
-        let multiplier = 1;
-        if (clean.endsWith('k')) { multiplier = 1000; clean = clean.slice(0, -1); }
-        else if (clean.endsWith('m')) { multiplier = 1000000; clean = clean.slice(0, -1); }
-        else if (clean.endsWith('b')) { multiplier = 1000000000; clean = clean.slice(0, -1); }
-        return (parseFloat(clean) || 0) * multiplier;
-    };
+    const calculateScenario = (scenario) => Engine.calcular(scenario);
+
+    const computeResults = () => new Map(state.scenarios.map(s => [s.id, calculateScenario(s)]));
 
     const updateCalculations = () => {
-        const faturamentoAnual = state.faturamento * 12;
-        const perdaAnualTotal = faturamentoAnual * (state.desperdicio / 100);
-        const valorRecuperavel = perdaAnualTotal * state.recuperacaoLSS;
-        
-        const ganhoMargemPontos = (state.desperdicio / 100) * state.recuperacaoLSS * 100;
-        const novaMargemFinal = state.margem + ganhoMargemPontos;
+        const results = computeResults();
+        const current = results.get(activeScenario().id);
 
         // Update results
-        elements.resultDinheiroMesa.textContent = formatBRL(valorRecuperavel);
-        elements.resultNovaMargem.textContent = `${novaMargemFinal.toFixed(1)}%`;
-        
-        updateCharts(valorRecuperavel, state.margem, novaMargemFinal);
+        elements.resultDinheiroMesa.textContent = formatCurrency(current.valorRecuperavel);
+        elements.resultNovaMargem.textContent = Engine.formatarPercentual(current.novaMargem);
+        elements.resultPayback.textContent = formatPayback(current.fluxo.payback);
+        elements.resultRoi12.textContent = formatROI(current.fluxo.roi12);
+        elements.resultRoi24.textContent = formatROI(current.fluxo.roi24);
+        elements.resultRoi36.textContent = formatROI(current.fluxo.roi36);
+        elements.resultVpl.textContent = formatCurrency(current.fluxo.vpl);
+
+        renderScenarioResults(results);
+        updateCharts(results);
+        persistScenarios();
+        syncURL();
+
+        // Widgets dependentes do cenário ativo (ex.: js/calculator-sensitivity.js)
+        document.dispatchEvent(new CustomEvent('calculatorUpdated', {
+            detail: { scenario: { ...activeScenario() }, localizacao: { ...state.localizacao } }
+        }));
+    };
+
+    const currentHorizonte = () => parseInt(elements.selectHorizonte.value, 10) || 12;
+
+    const buildShareURL = () => {
+        const url = new URL(window.location.href);
+        url.searchParams.set(URL_PARAM, encodeState(state, currentHorizonte(), state.localizacao));
+        url.hash = 'calculadora';
+        return url.toString();
+    };
+
+    /**
+     * Link da simulação atual, ou null se o visitante não alterou o estado padrão
+     * (usado para anexar a simulação aos leads)
+     */
+    const getShareURL = () => encodeState(state, currentHorizonte(), state.localizacao) === DEFAULT_ENCODED ? null : buildShareURL();
+
+    // Mantém a barra de endereço em sincronia (debounce: replaceState é limitado pelos browsers)
+    let urlTimer = null;
+    const syncURL = () => {
+        clearTimeout(urlTimer);
+        urlTimer = setTimeout(() => {
+            const url = new URL(window.location.href);
+            const encoded = encodeState(state, currentHorizonte(), state.localizacao);
+            if (encoded === DEFAULT_ENCODED) {
+                url.searchParams.delete(URL_PARAM);
+            } else {
+                url.searchParams.set(URL_PARAM, encoded);
+            }
+            window.history.replaceState(window.history.state, '', url);
+        }, 300);
     };
 
     // --- Sync Functions ---
     const syncUI = (source) => {
+        const scenario = activeScenario();
         if (source === 'faturamento') {
-            elements.inputFaturamento.value = formatNumber(state.faturamento);
-            elements.sliderFaturamento.value = state.faturamento;
+            elements.inputFaturamento.value = formatNumber(scenario.faturamento);
+            elements.sliderFaturamento.value = scenario.faturamento;
         } else if (source === 'desperdicio') {
-            elements.inputDesperdicio.value = state.desperdicio;
-            elements.sliderDesperdicio.value = state.desperdicio;
+            elements.inputDesperdicio.value = formatNumber(scenario.desperdicio);
+            elements.sliderDesperdicio.value = scenario.desperdicio;
         } else if (source === 'margem') {
-            elements.inputMargem.value = state.margem;
-            elements.sliderMargem.value = state.margem;
+            elements.inputMargem.value = formatNumber(scenario.margem);
+            elements.sliderMargem.value = scenario.margem;
+        } else if (source === 'investimento') {
+            elements.inputConsultoria.value = formatNumber(scenario.consultoria);
+            elements.inputImplantacao.value = formatNumber(scenario.implantacao);
+            elements.inputMensalidade.value = formatNumber(scenario.mensalidade);
+            elements.inputTaxaDesconto.value = formatNumber(scenario.taxaDesconto);
         }
         updateCalculations();
     };
 
+    // --- Scenarios ---
+    const renderScenarioTabs = () => {
+        elements.scenarioTabs.innerHTML = '';
+        state.scenarios.forEach(scenario => {
+            const isActive = scenario.id === state.activeId;
+            const tab = document.createElement('button');
+            tab.type = 'button';
+            tab.className = 'flex items-center gap-2 px-4 py-2 rounded-full text-sm font-bold border transition-all ' +
+                (isActive ? 'bg-slate-900 text-white border-slate-900 shadow-lg' : 'bg-white text-slate-500 border-slate-200 hover:border-slate-400');
+            tab.setAttribute('aria-pressed', String(isActive));
+
+            const dot = document.createElement('span');
+            dot.className = 'w-2.5 h-2.5 rounded-full';
+            dot.style.backgroundColor = scenarioColor(scenario);
+
+            const label = document.createElement('span');
+            label.textContent = scenario.nome; // ✅ Safe: nome vem do usuário
+
+            tab.append(dot, label);
+            tab.addEventListener('click', () => selectScenario(scenario.id));
+            elements.scenarioTabs.appendChild(tab);
+        });
+
+        // Não sobrescrever enquanto o usuário digita o nome
+        if (document.activeElement !== elements.scenarioName) {
+            elements.scenarioName.value = activeScenario().nome;
+        }
+        elements.scenarioAdd.disabled = state.scenarios.length >= MAX_SCENARIOS;
+        elements.scenarioDuplicate.disabled = state.scenarios.length >= MAX_SCENARIOS;
+        elements.scenarioRemove.disabled = state.scenarios.length <= 1;
+    };
+
+    const renderScenarioResults = (results) => {
+        const container = elements.scenarioResults;
+        container.innerHTML = '';
+        container.classList.toggle('hidden', state.scenarios.length < 2);
+        if (state.scenarios.length < 2) return;
+
+        state.scenarios.forEach(scenario => {
+            const { valorRecuperavel, novaMargem, fluxo } = results.get(scenario.id);
+            const card = document.createElement('div');
+            card.className = 'bg-white p-5 rounded-2xl border-2 shadow-sm ' +
+                (scenario.id === state.activeId ? 'border-slate-900' : 'border-slate-100');
+            card.style.borderTopColor = scenarioColor(scenario);
+
+            const title = document.createElement('p');
+            title.className = 'text-xs font-bold text-slate-400 uppercase tracking-widest mb-3 truncate';
+            title.textContent = scenario.nome;
+
+            const money = document.createElement('p');
+            money.className = 'text-2xl font-black text-slate-900';
+            money.textContent = formatCurrency(valorRecuperavel);
+
+            const margin = document.createElement('p');
+            margin.className = 'text-sm font-bold text-slate-500';
+            margin.textContent = `Margem ${Engine.formatarPercentual(scenario.margem)} → ${Engine.formatarPercentual(novaMargem)}`;
+
+            const payback = document.createElement('p');
+            payback.className = 'text-xs font-bold text-slate-400 mt-1';
+            payback.textContent = `Payback: ${formatPayback(fluxo.payback)}`;
+
+            card.append(title, money, margin, payback);
+            card.addEventListener('click', () => selectScenario(scenario.id));
+            container.appendChild(card);
+        });
+    };
+
+    const syncAllInputs = () => {
+        syncUI('faturamento');
+        syncUI('desperdicio');
+        syncUI('margem');
+        syncUI('investimento');
+    };
+
+    const selectScenario = (id) => {
+        state.activeId = id;
+        renderScenarioTabs();
+        syncAllInputs();
+    };
+
+    const addScenario = (scenario) => {
+        if (state.scenarios.length >= MAX_SCENARIOS) return;
+        state.scenarios.push(scenario);
+        selectScenario(scenario.id);
+    };
+
+    elements.scenarioAdd.addEventListener('click', () => {
+        addScenario(createScenario(`Cenário ${state.scenarios.length + 1}`));
+    });
+
+    elements.scenarioDuplicate.addEventListener('click', () => {
+        const source = activeScenario();
+        addScenario(createScenario(`${source.nome} (cópia)`, source));
+    });
+
+    elements.scenarioRemove.addEventListener('click', () => {
+        if (state.scenarios.length <= 1) return;
+        state.scenarios = state.scenarios.filter(s => s.id !== state.activeId);
+        selectScenario(state.scenarios[0].id);
+    });
+
+    elements.scenarioName.addEventListener('input', (e) => {
+        activeScenario().nome = e.target.value.trim().slice(0, 40) || 'Sem nome';
+        renderScenarioTabs();
+        updateCalculations();
+    });
+
     // --- Listeners ---
     // Sliders
     elements.sliderFaturamento.addEventListener('input', (e) => {
-        state.faturamento = parseFloat(e.target.value);
-        elements.inputFaturamento.value = formatNumber(state.faturamento);
+        activeScenario().faturamento = parseFloat(e.target.value);
+        elements.inputFaturamento.value = formatNumber(activeScenario().faturamento);
         updateCalculations();
     });
 
     elements.sliderDesperdicio.addEventListener('input', (e) => {
-        state.desperdicio = parseFloat(e.target.value);
-        elements.inputDesperdicio.value = state.desperdicio;
+        activeScenario().desperdicio = parseFloat(e.target.value);
+        elements.inputDesperdicio.value = formatNumber(activeScenario().desperdicio);
         updateCalculations();
     });
 
     elements.sliderMargem.addEventListener('input', (e) => {
-        state.margem = parseFloat(e.target.value);
-        elements.inputMargem.value = state.margem;
+        activeScenario().margem = parseFloat(e.target.value);
+        elements.inputMargem.value = formatNumber(activeScenario().margem);
         updateCalculations();
     });
 
     // Text Inputs
     elements.inputFaturamento.addEventListener('change', (e) => {
-        state.faturamento = Math.min(1000000000, parseNumber(e.target.value));
+        activeScenario().faturamento = Math.min(1000000000, parseNumber(e.target.value));
         syncUI('faturamento');
     });
 
     elements.inputDesperdicio.addEventListener('change', (e) => {
-        state.desperdicio = Math.min(100, parseNumber(e.target.value));
+        activeScenario().desperdicio = Math.min(100, parseNumber(e.target.value));
         syncUI('desperdicio');
     });
 
     elements.inputMargem.addEventListener('change', (e) => {
-        state.margem = Math.min(100, parseNumber(e.target.value));
+        activeScenario().margem = Math.min(100, parseNumber(e.target.value));
         syncUI('margem');
     });
 
+    // Investimento do projeto
+    [
+        [elements.inputConsultoria, 'consultoria'],
+        [elements.inputImplantacao, 'implantacao'],
+        [elements.inputMensalidade, 'mensalidade'],
+        [elements.inputTaxaDesconto, 'taxaDesconto']
+    ].forEach(([input, field]) => {
+        input.addEventListener('change', (e) => {
+            activeScenario()[field] = Math.min(LIMITES[field], parseNumber(e.target.value));
+            syncUI('investimento');
+        });
+    });
+
+    elements.selectHorizonte.addEventListener('change', () => updateCalculations());
+
+    const calculadora = document.getElementById('calculadora');
+    if (calculadora) {
+        // Simulação aberta por link: a primeira edição do visitante libera o salvamento
+        // (fase de captura, antes do handler do campo chamar updateCalculations())
+        const enablePersist = () => {
+            persistEnabled = true;
+            ['input', 'change', 'click'].forEach(type => calculadora.removeEventListener(type, enablePersist, true));
+        };
+        if (!persistEnabled) {
+            ['input', 'change', 'click'].forEach(type => calculadora.addEventListener(type, enablePersist, true));
+        }
+
+        // Primeiro ajuste do visitante na calculadora (js/analytics.js), uma vez por página
+        const trackUsage = (e) => {
+            if (!e.isTrusted || !window.trackEvent) return;
+            window.trackEvent('calculator_used', { campo: e.target.id || e.target.name || 'desconhecido' });
+            calculadora.removeEventListener('input', trackUsage);
+            calculadora.removeEventListener('change', trackUsage);
+        };
+        calculadora.addEventListener('input', trackUsage);
+        calculadora.addEventListener('change', trackUsage);
+    }
+
+    // --- Locale & Moeda ---
+    const renderLocaleOptions = () => {
+        const addOption = (select, value, text) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        };
+
+        Engine.LOCALES.forEach(l => addOption(elements.selectLocale, l.locale, l.label));
+        Engine.MOEDAS.forEach(m => addOption(elements.selectMoeda, m, m));
+
+        // Locale/moeda vindos de link compartilhado podem não estar na lista padrão
+        if (!Engine.LOCALES.some(l => l.locale === state.localizacao.locale)) {
+            addOption(elements.selectLocale, state.localizacao.locale, state.localizacao.locale);
+        }
+        if (!Engine.MOEDAS.includes(state.localizacao.moeda)) {
+            addOption(elements.selectMoeda, state.localizacao.moeda, state.localizacao.moeda);
+        }
+    };
+
+    const applyLocalizacao = (localizacao) => {
+        state.localizacao = { ...Engine.definirLocalizacao(localizacao) };
+        elements.selectLocale.value = state.localizacao.locale;
+        elements.selectMoeda.value = state.localizacao.moeda;
+        elements.currencySymbols.forEach(el => { el.textContent = Engine.simboloMoeda(); });
+        syncAllInputs();
+    };
+
+    elements.selectLocale.addEventListener('change', (e) => {
+        // Trocar o locale sugere a moeda local; o usuário pode ajustar em seguida
+        const preset = Engine.LOCALES.find(l => l.locale === e.target.value);
+        applyLocalizacao({ locale: e.target.value, moeda: preset ? preset.moeda : state.localizacao.moeda });
+    });
+
+    elements.selectMoeda.addEventListener('change', (e) => {
+        applyLocalizacao({ ...state.localizacao, moeda: e.target.value });
+    });
+
+    elements.scenarioShare.addEventListener('click', () => {
+        const url = buildShareURL();
+        const label = elements.scenarioShare.querySelector('[data-label]');
+        const showCopied = () => {
+            label.textContent = 'Link copiado!';
+            setTimeout(() => { label.textContent = 'Copiar link'; }, 2000);
+        };
+
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(url).then(showCopied).catch(() => window.prompt('Copie o link da simulação:', url));
+        } else {
+            window.prompt('Copie o link da simulação:', url);
+        }
+    });
+
     // --- Charts ---
     let lineChart, radarChart;
 
     const initCharts = () => {
-        // Line Chart
+        // Line Chart (datasets são montados em updateCharts: 1 baseline + 1 série por cenário)
         const lineCtx = document.getElementById('lineChart').getContext('2d');
         lineChart = new Chart(lineCtx, {
             type: 'line',
             data: {
-                labels: ['Início', ...Array.from({length: 12}, (_, i) => `Mês ${i + 1}`)],
-                datasets: [
-                    {
-                        label: 'Operação Atual',
-                        data: [],
-                        borderColor: '#94a3b8',
-                        backgroundColor: 'transparent',
-                        borderDash: [5, 5],
-                        tension: 0.4
-                    },
-                    {
-                        label: 'Operação LSS 4.0',
-                        data: [],
-                        borderColor: '#7c3aed',
-                        backgroundColor: 'rgba(124, 58, 237, 0.1)',
-                        fill: true,
-                        tension: 0.4
-                    }
-                ]
+                labels: [],
+                datasets: []
             },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
                 plugins: { legend: { display: false }, tooltip: { mode: 'index', intersect: false } },
-                scales: { 
-                    y: { 
-                        beginAtZero: true, 
-                        ticks: { callback: value => formatBRL(value) } 
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        ticks: { callback: value => formatCurrency(value) }
                     },
                     x: { grid: { display: false } }
                 }
             }
         });
 
-        // Radar Chart
+        // Radar Chart (perfil estático até js/radar-assessment.js carregar os benchmarks)
         const radarCtx = document.getElementById('radarChart').getContext('2d');
         radarChart = new Chart(radarCtx, {
             type: 'radar',
@@ -163,18 +552,27 @@ document.addEventListener('DOMContentLoaded', function() {
                 labels: ['Eficiência (TAT)', 'Satisfação (NPS)', 'Digitalização', 'Previsibilidade', 'Controle de Custos', 'Engajamento'],
                 datasets: [
                     {
-                        label: 'Clínica Tradicional',
+                        label: 'Média do Segmento',
                         data: [40, 50, 30, 20, 45, 35],
                         backgroundColor: 'rgba(148, 163, 184, 0.2)',
                         borderColor: '#94a3b8',
                         pointBackgroundColor: '#94a3b8'
                     },
                     {
-                        label: 'Clínica LSS 4.0',
+                        label: 'Referência LSS 4.0',
                         data: [95, 90, 85, 92, 88, 90],
                         backgroundColor: 'rgba(124, 58, 237, 0.2)',
                         borderColor: '#7c3aed',
                         pointBackgroundColor: '#7c3aed'
+                    },
+                    {
+                        label: 'Sua Clínica',
+                        data: [],
+                        backgroundColor: 'rgba(14, 165, 233, 0.25)',
+                        borderColor: '#0ea5e9',
+                        pointBackgroundColor: '#0ea5e9',
+                        spanGaps: true,
+                        hidden: true
                     }
                 ]
             },
@@ -195,31 +593,151 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     };
 
-    const updateCharts = (valorRecuperavelAnual, margemAtual, novaMargem) => {
-        const mesARecuperar = valorRecuperavelAnual / 12;
-        const faturamentoMensal = state.faturamento;
-        
-        const dataAtual = [0];
-        const dataLSS = [0];
-        
-        let acumuladoAtual = 0;
-        let acumuladoLSS = 0;
-
-        for (let i = 1; i <= 12; i++) {
-            acumuladoAtual += faturamentoMensal * (margemAtual / 100);
-            acumuladoLSS += faturamentoMensal * (novaMargem / 100);
-            dataAtual.push(acumuladoAtual);
-            dataLSS.push(acumuladoLSS);
-        }
+    // Autoavaliação + benchmarks por tipo/porte (js/radar-assessment.js)
+    const updateRadar = (result) => {
+        if (!result || !result.mercado.length) return;
+        radarChart.data.labels = result.labels;
+        radarChart.data.datasets[0].data = result.mercado;
+        radarChart.data.datasets[1].data = result.lss;
+        radarChart.data.datasets[2].data = result.clinica;
+        radarChart.data.datasets[2].hidden = result.respondidas === 0;
+        radarChart.update();
+    };
+
+    const renderLineLegend = (datasets) => {
+        elements.lineChartLegend.innerHTML = '';
+        datasets.forEach(dataset => {
+            const item = document.createElement('div');
+            item.className = 'flex items-center gap-2 text-xs font-bold';
+            item.style.color = dataset.borderColor;
+
+            const dot = document.createElement('span');
+            dot.className = 'w-3 h-3 ' + (dataset.borderDash && dataset.borderDash[0] === 2 ? 'rounded-sm' : 'rounded-full');
+            dot.style.backgroundColor = dataset.borderColor;
+
+            const label = document.createElement('span');
+            label.textContent = dataset.label;
+
+            item.append(dot, label);
+            elements.lineChartLegend.appendChild(item);
+        });
+    };
+
+    const updateCharts = (results) => {
+        const current = activeScenario();
+        const isComparing = state.scenarios.length > 1;
+        const meses = parseInt(elements.selectHorizonte.value, 10) || 12;
+        const fluxo = results.get(current.id).fluxo;
+
+        lineChart.data.labels = ['Início', ...Array.from({length: meses}, (_, i) => `Mês ${i + 1}`)];
+        elements.lineChartTitle.textContent = `Projeção de Lucro Acumulado (${meses} Meses)`;
 
-        lineChart.data.datasets[0].data = dataAtual;
-        lineChart.data.datasets[1].data = dataLSS;
+        const datasets = [{
+            label: isComparing ? `Operação Atual (${current.nome})` : 'Operação Atual',
+            data: Engine.projecaoLucro(current, meses).atual,
+            borderColor: '#94a3b8',
+            backgroundColor: 'transparent',
+            borderDash: [5, 5],
+            tension: 0.4
+        }];
+
+        state.scenarios.forEach(scenario => {
+            const color = scenarioColor(scenario);
+            datasets.push({
+                label: isComparing ? scenario.nome : 'Operação LSS 4.0',
+                data: Engine.projecaoLucro(scenario, meses).lss,
+                borderColor: color,
+                backgroundColor: isComparing ? 'transparent' : 'rgba(124, 58, 237, 0.1)',
+                borderWidth: scenario.id === state.activeId ? 3 : 2,
+                fill: !isComparing,
+                tension: 0.4
+            });
+        });
+
+        // Fluxo de caixa acumulado do cenário ativo (descontando o investimento) com marcador de payback
+        const paybackVisivel = fluxo.payback !== null && fluxo.payback <= meses;
+        datasets.push({
+            label: paybackVisivel
+                ? `Fluxo de Caixa do Projeto (payback no mês ${fluxo.payback})`
+                : 'Fluxo de Caixa do Projeto',
+            data: fluxo.acumulado.slice(0, meses + 1),
+            borderColor: '#10b981',
+            backgroundColor: 'transparent',
+            borderDash: [2, 4],
+            borderWidth: 2,
+            tension: 0.3,
+            pointRadius: (ctx) => paybackVisivel && ctx.dataIndex === fluxo.payback ? 8 : 0,
+            pointStyle: 'rectRot',
+            pointBackgroundColor: '#10b981'
+        });
+
+        lineChart.data.datasets = datasets;
         lineChart.update();
+        renderLineLegend(datasets);
     };
 
     // Initialize
+    if (saved.horizonte) elements.selectHorizonte.value = String(saved.horizonte);
     initCharts();
-    syncUI('faturamento');
-    syncUI('desperdicio');
-    syncUI('margem');
+    document.addEventListener('radarAssessmentChanged', (e) => updateRadar(e.detail));
+    if (window.radarAssessment) updateRadar(window.radarAssessment.getResult());
+    renderScenarioTabs();
+    renderLocaleOptions();
+    applyLocalizacao(state.localizacao);
+
+    /**
+     * Retrato completo da simulação (entradas + resultados de cada cenário),
+     * usado pelo relatório exportável (js/calculator-report.js)
+     */
+    const getSnapshot = () => {
+        const results = computeResults();
+        return {
+            horizonte: currentHorizonte(),
+            activeId: state.activeId,
+            recuperacaoLSS: state.recuperacaoLSS,
+            localizacao: { ...state.localizacao },
+            shareURL: buildShareURL(),
+            scenarios: state.scenarios.map(s => ({ ...s, resultado: results.get(s.id) }))
+        };
+    };
+
+    /**
+     * Simulação do cenário ativo em campos estruturados, anexada ao lead
+     * (#contactForm, Luna e parâmetros do EmailJS em js/email-config.js).
+     * Retorna null se o visitante não alterou a simulação padrão.
+     */
+    const getLeadSummary = () => {
+        const url = getShareURL();
+        if (!url) return null;
+
+        const scenario = activeScenario();
+        const { entrada, valorRecuperavel, novaMargem, fluxo } = Engine.calcular(scenario);
+        const round = (val, casas = 0) => val === null ? null : Number(val.toFixed(casas));
+
+        return {
+            cenario: scenario.nome,
+            totalCenarios: state.scenarios.length,
+            locale: state.localizacao.locale,
+            moeda: state.localizacao.moeda,
+            entradas: entrada,
+            resultados: {
+                valorRecuperavel: round(valorRecuperavel),
+                novaMargem: round(novaMargem, 1),
+                payback: fluxo.payback,
+                roi12: round(fluxo.roi12, 1),
+                roi24: round(fluxo.roi24, 1),
+                roi36: round(fluxo.roi36, 1),
+                vpl: round(fluxo.vpl)
+            },
+            url
+        };
+    };
+
+    const getChartImages = () => ({
+        line: lineChart.toBase64Image(),
+        radar: radarChart.toBase64Image()
+    });
+
+    // API pública (consumida por canais de lead e pelo relatório)
+    window.glxCalculator = { getShareURL, getSnapshot, getLeadSummary, getChartImages, formatCurrency };
 });
@@ -0,0 +1,340 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GLX PARTNERS - CONSENTIMENTO LGPD (COOKIES E PREFERÊNCIAS DE PRIVACIDADE)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * PROPÓSITO (WHY):
+ * -----------------
+ * O GA4 carregava incondicionalmente e o WebVitalsTracker enviava URL e
+ * userAgent sem perguntar nada ao visitante. Como consultoria de saúde no
+ * Brasil, tratamento não essencial precisa de consentimento (LGPD, art. 7º, I
+ * e art. 8º). Este módulo pergunta, guarda a escolha e libera cada integração
+ * só depois do "sim" da categoria correspondente.
+ *
+ * CATEGORIAS:
+ * -----------
+ * | Categoria  | O que libera                                         | Padrão      |
+ * |------------|------------------------------------------------------|-------------|
+ * | necessary  | Envio/fila de leads, anti-spam, rascunho, esta       | sempre ativa|
+ * |            | própria escolha (localStorage)                       |             |
+ * | analytics  | GA4 (gtag), eventos de js/analytics.js, Web Vitals   | negada      |
+ * |            | WebVitalsTracker.sendToEndpoint()                    |             |
+ * | marketing  | Pixels de anúncio                                    | negada      |
+ *
+ * COMO UM SCRIPT FICA CONDICIONADO:
+ * ---------------------------------
+ *   <script type="text/plain" data-consent="marketing" data-src="https://pixel..."></script>
+ * O script só é ativado (recriado como script real) quando a categoria é
+ * aceita. O carregador do GA4 no index.html usa o mesmo mecanismo, e o gtag
+ * roda com Consent Mode ('default' negado, 'update' conforme a escolha).
+ *
+ * REGISTRO E REVOGAÇÃO:
+ * ---------------------
+ * - `glx_consent` = { versao, categorias, atualizadoEm, origem }. Se
+ *   CONSENT_CONFIG.versao mudar (nova finalidade, novo fornecedor) ou a
+ *   escolha passar de `validadeDias`, o banner aparece de novo.
+ * - Qualquer elemento com [data-consent-open] (rodapé) reabre as preferências.
+ * - Revogar analytics desliga o GA (ga-disable + Consent Mode) e apaga os
+ *   cookies _ga; scripts já ativados de uma categoria revogada só saem da
+ *   página com recarga, então a página é recarregada nesse caso.
+ * - Toda mudança dispara o CustomEvent 'consentChanged' em document.
+ */
+
+const CONSENT_CONFIG = {
+    versao: 1,
+    storageKey: 'glx_consent',
+    validadeDias: 365,
+    gaMeasurementId: 'G-XXXXXXXXXX',
+    categorias: {
+        necessary: {
+            titulo: 'Necessários',
+            descricao: 'Fazem o site funcionar: envio e reenvio automático dos seus pedidos de contato, proteção contra spam, rascunho do formulário e esta escolha. Ficam só no seu navegador.',
+            obrigatoria: true
+        },
+        analytics: {
+            titulo: 'Análise e desempenho',
+            descricao: 'Google Analytics (IP anonimizado) e métricas de velocidade do site, para entendermos quais conteúdos ajudam e onde o site trava.'
+        },
+        marketing: {
+            titulo: 'Marketing',
+            descricao: 'Pixels de anúncios para medir nossas campanhas e mostrar conteúdo relevante em outras plataformas.'
+        }
+    }
+};
+
+class ConsentManager {
+    constructor(config = CONSENT_CONFIG) {
+        this.config = config;
+        this.record = this.load();
+        this.activated = new Set();
+
+        // Escolha já registrada vale desde o <head>: eventos e gtag não esperam o DOM
+        if (this.record) this.applyConsentMode();
+        if (window.analytics) {
+            if (this.record) window.analytics.setConsent(this.allows('analytics'));
+            else window.analytics.requireConsent();
+        }
+    }
+
+    init() {
+        document.addEventListener('click', (event) => {
+            const trigger = event.target.closest && event.target.closest('[data-consent-open]');
+            if (!trigger) return;
+            event.preventDefault();
+            this.openPreferences();
+        });
+
+        if (this.record) {
+            this.activateScripts();
+        } else {
+            this.showBanner();
+        }
+    }
+
+    // --- Registro ---
+
+    load() {
+        try {
+            const record = JSON.parse(localStorage.getItem(this.config.storageKey));
+            if (!record || record.versao !== this.config.versao || !record.categorias) return null;
+            const ageMs = Date.now() - Date.parse(record.atualizadoEm);
+            if (!(ageMs < this.config.validadeDias * 86400000)) return null;
+            return record;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * A categoria foi aceita? (necessary sempre é)
+     * @param {'necessary'|'analytics'|'marketing'} categoria
+     * @returns {boolean}
+     */
+    allows(categoria) {
+        if (categoria === 'necessary') return true;
+        return Boolean(this.record && this.record.categorias[categoria]);
+    }
+
+    /**
+     * Grava a escolha e aplica em todas as integrações
+     * @param {{analytics: boolean, marketing: boolean}} escolhas
+     * @param {string} origem - 'banner' | 'preferencias'
+     */
+    save(escolhas, origem) {
+        const previous = this.record ? { ...this.record.categorias } : {};
+        const categorias = { necessary: true };
+        Object.keys(this.config.categorias).forEach(categoria => {
+            if (categoria !== 'necessary') categorias[categoria] = Boolean(escolhas[categoria]);
+        });
+
+        this.record = { versao: this.config.versao, categorias, atualizadoEm: new Date().toISOString(), origem };
+        try {
+            localStorage.setItem(this.config.storageKey, JSON.stringify(this.record));
+        } catch (e) {
+            console.error('Failed to save consent:', e);
+        }
+
+        this.applyConsentMode();
+        if (window.analytics) window.analytics.setConsent(categorias.analytics);
+        if (previous.analytics && !categorias.analytics) this.clearAnalyticsCookies();
+
+        document.dispatchEvent(new CustomEvent('consentChanged', { detail: { ...this.record } }));
+
+        // Script de categoria revogada já está rodando: só sai com recarga
+        const revokedActive = [...this.activated].some(categoria => !categorias[categoria]);
+        if (revokedActive) {
+            window.location.reload();
+            return;
+        }
+        this.activateScripts();
+    }
+
+    acceptAll() {
+        this.save({ analytics: true, marketing: true }, 'banner');
+        this.hideBanner();
+    }
+
+    rejectAll() {
+        this.save({ analytics: false, marketing: false }, 'banner');
+        this.hideBanner();
+    }
+
+    // --- Integrações ---
+
+    applyConsentMode() {
+        const analytics = this.allows('analytics');
+        const marketing = this.allows('marketing');
+        window[`ga-disable-${this.config.gaMeasurementId}`] = !analytics;
+        if (typeof window.gtag === 'function') {
+            window.gtag('consent', 'update', {
+                analytics_storage: analytics ? 'granted' : 'denied',
+                ad_storage: marketing ? 'granted' : 'denied',
+                ad_user_data: marketing ? 'granted' : 'denied',
+                ad_personalization: marketing ? 'granted' : 'denied'
+            });
+        }
+    }
+
+    // Recria <script type="text/plain" data-consent="..."> como script executável
+    activateScripts() {
+        document.querySelectorAll('script[type="text/plain"][data-consent]').forEach(placeholder => {
+            const categoria = placeholder.dataset.consent;
+            if (!this.allows(categoria)) return;
+
+            const script = document.createElement('script');
+            if (placeholder.dataset.src) {
+                script.src = placeholder.dataset.src;
+                script.async = true;
+            } else {
+                script.textContent = placeholder.textContent;
+            }
+            placeholder.replaceWith(script);
+            this.activated.add(categoria);
+        });
+    }
+
+    clearAnalyticsCookies() {
+        const host = window.location.hostname;
+        const domains = ['', host, `.${host}`, `.${host.split('.').slice(-2).join('.')}`];
+        document.cookie.split(';').map(cookie => cookie.split('=')[0].trim()).filter(name => /^_ga/.test(name)).forEach(name => {
+            domains.forEach(domain => {
+                document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/${domain ? `; domain=${domain}` : ''}`;
+            });
+        });
+    }
+
+    // --- UI ---
+
+    createButton(text, variant, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = variant === 'primary'
+            ? 'flex-1 bg-primary hover:bg-violet-600 text-white font-bold text-sm px-4 py-3 rounded-xl transition-all'
+            : 'flex-1 border border-white/20 hover:border-white/40 text-white font-bold text-sm px-4 py-3 rounded-xl transition-all';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    showBanner() {
+        if (this.banner) {
+            this.banner.classList.remove('hidden');
+            return;
+        }
+
+        this.banner = document.createElement('div');
+        this.banner.setAttribute('role', 'dialog');
+        this.banner.setAttribute('aria-live', 'polite');
+        this.banner.setAttribute('aria-label', 'Preferências de privacidade');
+        this.banner.className = 'fixed bottom-4 left-4 right-4 md:right-auto md:max-w-md z-[60] bg-slate-900 text-slate-300 border border-white/10 rounded-2xl shadow-2xl p-6 print:hidden';
+
+        const title = document.createElement('h2');
+        title.className = 'text-white font-bold text-lg mb-2';
+        title.textContent = 'Sua privacidade';
+
+        const text = document.createElement('p');
+        text.className = 'text-sm leading-relaxed mb-4';
+        text.textContent = 'Usamos armazenamento local necessário para o site funcionar. Com a sua permissão, também usamos ferramentas de análise e de marketing. Você pode mudar a escolha quando quiser em "Preferências de privacidade", no rodapé.';
+
+        const actions = document.createElement('div');
+        actions.className = 'flex flex-col sm:flex-row gap-2';
+        actions.append(
+            this.createButton('Só necessários', 'secondary', () => this.rejectAll()),
+            this.createButton('Personalizar', 'secondary', () => this.openPreferences()),
+            this.createButton('Aceitar todos', 'primary', () => this.acceptAll())
+        );
+
+        this.banner.append(title, text, actions);
+        document.body.appendChild(this.banner);
+    }
+
+    hideBanner() {
+        if (this.banner) this.banner.classList.add('hidden');
+    }
+
+    openPreferences() {
+        this.hideBanner();
+        if (this.panel) this.panel.remove();
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'fixed inset-0 z-[70] bg-black/60 flex items-center justify-center p-4 print:hidden';
+
+        const dialog = document.createElement('div');
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-label', 'Preferências de privacidade');
+        dialog.className = 'bg-slate-900 text-slate-300 border border-white/10 rounded-2xl shadow-2xl p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto';
+
+        const title = document.createElement('h2');
+        title.className = 'text-white font-bold text-lg mb-4';
+        title.textContent = 'Preferências de privacidade';
+        dialog.appendChild(title);
+
+        const toggles = {};
+        Object.entries(this.config.categorias).forEach(([categoria, info]) => {
+            const row = document.createElement('label');
+            row.className = 'flex items-start gap-3 border-t border-white/10 py-4';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'mt-1 rounded text-primary focus:ring-primary';
+            checkbox.checked = this.allows(categoria);
+            checkbox.disabled = Boolean(info.obrigatoria);
+            toggles[categoria] = checkbox;
+
+            const body = document.createElement('span');
+            const name = document.createElement('span');
+            name.className = 'block text-white font-bold text-sm';
+            name.textContent = info.obrigatoria ? `${info.titulo} (sempre ativos)` : info.titulo;
+            const description = document.createElement('span');
+            description.className = 'block text-xs leading-relaxed mt-1';
+            description.textContent = info.descricao;
+            body.append(name, description);
+
+            row.append(checkbox, body);
+            dialog.appendChild(row);
+        });
+
+        if (this.record) {
+            const status = document.createElement('p');
+            status.className = 'text-xs text-slate-500 mb-4';
+            status.textContent = `Escolha registrada em ${new Date(this.record.atualizadoEm).toLocaleString('pt-BR')} (versão ${this.record.versao}).`;
+            dialog.appendChild(status);
+        }
+
+        const close = () => {
+            this.panel.remove();
+            this.panel = null;
+            if (!this.record) this.showBanner();
+        };
+
+        const actions = document.createElement('div');
+        actions.className = 'flex flex-col sm:flex-row gap-2';
+        actions.append(
+            this.createButton('Cancelar', 'secondary', close),
+            this.createButton('Salvar preferências', 'primary', () => {
+                const escolhas = {};
+                Object.keys(toggles).forEach(categoria => { escolhas[categoria] = toggles[categoria].checked; });
+                this.panel.remove();
+                this.panel = null;
+                this.save(escolhas, 'preferencias');
+            })
+        );
+        dialog.appendChild(actions);
+
+        this.panel.addEventListener('click', (event) => {
+            if (event.target === this.panel) close();
+        });
+        this.panel.appendChild(dialog);
+        document.body.appendChild(this.panel);
+        toggles.analytics.focus();
+    }
+}
+
+// Instância criada já no <head> (depois de js/analytics.js)
+const consentManager = new ConsentManager();
+document.addEventListener('DOMContentLoaded', () => consentManager.init());
+
+window.CONSENT_CONFIG = CONSENT_CONFIG;
+window.ConsentManager = ConsentManager;
+window.consentManager = consentManager;
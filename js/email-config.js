@@ -8,7 +8,8 @@
  * Módulo crítico responsável por envio de leads sem necessidade de backend.
  * EmailJS permite MVP rápido sem custos de servidor, mas introduz dependência
  * de terceiro. Este arquivo centraliza toda configuração para facilitar migração
- * futura para backend próprio.
+ * futura para backend próprio: a entrega em si é feita por js/lead-transport.js
+ * (EmailJS, webhook ou mock), escolhido em LEAD_TRANSPORT_CONFIG.
  * 
  * JUSTIFICATIVA TÉCNICA:
  * 1. **Custo**: $0 até 500 emails/mês (vs $5-20/mês DigitalOcean + manutenção)
@@ -28,8 +29,8 @@
  * SEGURANÇA (CRITICAL):
  * ----------------------
  * ⚠️  **PUBLIC_KEY é pública por design**: Não é senha, mas exposta no client
- * ⚠️  **Rate Limiting**: EmailJS limita 500/mês, mas sem proteção contra spam no client
- * ⚠️  **Sem CAPTCHA**: Qualquer bot pode enviar emails (MITIGAÇÃO: monitorar quota)
+ * ✅ **Anti-spam**: js/spam-guard.js roda antes de todo envio (honeypot, tempo mínimo,
+ *    rate limit por navegador, proof-of-work); CAPTCHA real pode ser plugado depois
  * ✅ **Sem dados sensíveis**: Apenas lead info (nome, email, desafio) - nada confidencial
  * ✅ **HTTPS only**: EmailJS SDK requer HTTPS em produção
  * 
@@ -44,10 +45,30 @@
  * As seguintes variáveis DEVEM existir no template EmailJS:
  * - {{nome}}      → Nome completo do lead
  * - {{cargo}}     → Cargo na empresa (ex: "CEO", "Diretor")
- * - {{email}}     → Email de contato
+ * - {{email}}     → Email de contato (normalizado em minúsculas por js/lead-schema.js)
+ * - {{telefone}}  → Telefone em E.164 (opcional, ex: "+5511999998888")
  * - {{desafio}}   → Principal desafio da clínica (ex: "Faturamento")
  * - {{mensagem}}  → Mensagem ou dúvida adicional (opcional)
- * - {{to_email}}  → Destinatários (preenchido automaticamente)
+ * - {{tipo_clinica}}, {{porte}}, {{preferencia_contato}}, {{periodo_contato}}
+ *                 → Perfil e preferência de contato (formulário em etapas, ids de
+ *                   data/contact-form.json; vazios nos outros canais)
+ * - {{perfil_resumo}} → Os mesmos campos em texto legível ("Tipo de operação: Hospital · ...")
+ * - {{agendamento}} → Horário escolhido no thank-you.html (js/meeting-scheduler.js), ex:
+ *                   "quarta-feira, 21/10 às 10:00 (horário de Brasília)"; vazio nos demais envios
+ * - {{simulacao_url}} → Link que reabre a simulação da calculadora (se usada)
+ * - {{sim_faturamento}}, {{sim_desperdicio}}, {{sim_margem}}, {{sim_investimento}}
+ *                 → Entradas do cenário ativo da calculadora
+ * - {{sim_ganho_anual}}, {{sim_nova_margem}}, {{sim_payback}}, {{sim_roi}}, {{sim_vpl}}
+ *                 → Resultados projetados (formatados na moeda/locale da simulação)
+ * - {{simulacao_resumo}} → Todas as linhas acima em texto corrido
+ * - {{qualidade_score}} → Nota do lead, 0–100 (js/email-quality.js)
+ * - {{email_tipo}} → corporativo | webmail (e-mails descartáveis são bloqueados antes)
+ * - {{prioridade}} → Etiqueta do destino (ex: "🔥 PRIORIDADE ALTA"), data/lead-routing.json
+ * - {{lead_score}} → Pontuação das regras de roteamento (js/lead-routing.js)
+ * - {{lead_id}}   → ID único do lead; reenvios da fila offline repetem o mesmo ID
+ * - {{protocolo}} → Protocolo mostrado ao visitante (ex: GLX-A3F8B7C2); use no
+ *                   assunto do template para agrupar reenvios do mesmo lead
+ * - {{to_email}}  → Destinatários (do destino em data/lead-routing.json; padrão TO_EMAIL)
  * 
  * EXEMPLO DE EMAIL ENVIADO:
  * -------------------------
@@ -63,19 +84,25 @@
  * E-mail: joao@clinica.com.br
  * Principal Desafio: Reduzir custos operacionais
  * Mensagem: Gostaria de agendar uma reunião
- *    Assunto: Nova Solicitação de Análise - GLX Partners
+ *    Assunto: {{prioridade}} Nova Solicitação de Análise - GLX Partners [{{protocolo}}]
  *    
  *    Corpo:
  *    Nova solicitação de análise recebida:
  *    
  *    Nome: {{nome}}
  *    Cargo: {{cargo}}
- *    E-mail: {{email}}
+ *    E-mail: {{email}} ({{email_tipo}})
  *    Principal Desafio: {{desafio}}
+ *    Perfil: {{perfil_resumo}}
+ *    Qualidade do lead: {{qualidade_score}}/100
  *    
  *    Mensagem:
  *    {{mensagem}}
  *    
+ *    Simulação da calculadora:
+ *    {{simulacao_resumo}}
+ *    {{simulacao_url}}
+ *    
  *    ---
  *    Enviado via formulário GLX Partners
  *    
@@ -95,7 +122,31 @@ const EMAILJS_CONFIG = {
     
     // Emails de destino (configure ambos no template EmailJS separados por vírgula)
     // No template EmailJS, configure o campo "To Email" como: {{to_email}}
-    TO_EMAIL: 'contato@glxpartners.com, matheus.rob.oliveira@gmail.com'
+    TO_EMAIL: 'contato@glxpartners.com, matheus.rob.oliveira@gmail.com',
+
+    // WhatsApp comercial (DDI + DDD + número); data/lead-routing.json pode trocar por destino
+    WHATSAPP: '5511944223257'
+};
+
+/**
+ * Transporte de entrega dos leads (js/lead-transport.js)
+ * - 'emailjs' → produção (usa EMAILJS_CONFIG acima)
+ * - 'webhook' → POST JSON para `webhook.url` (ex.: server/lead-receiver.js → '/api/leads')
+ * - 'mock'    → não envia nada; útil para desenvolvimento (`fail: true` simula erro)
+ * Em localhost, ?lead_transport=webhook sobrescreve `transport` sem editar este arquivo.
+ */
+const LEAD_TRANSPORT_CONFIG = {
+    transport: 'emailjs',
+    emailjs: EMAILJS_CONFIG,
+    webhook: {
+        url: '/api/leads',  // Mesma origem: já permitido pela CSP (connect-src 'self')
+        timeoutMs: 8000,
+        headers: {}
+    },
+    mock: {
+        delayMs: 300,
+        fail: false
+    }
 };
 
 // Inicializar EmailJS
@@ -103,43 +154,123 @@ const EMAILJS_CONFIG = {
     if (typeof emailjs !== 'undefined') {
         emailjs.init(EMAILJS_CONFIG.PUBLIC_KEY);
         console.log('✅ EmailJS inicializado com sucesso');
-    } else {
+    } else if (LEAD_TRANSPORT_CONFIG.transport === 'emailjs') {
         console.error('❌ EmailJS SDK não carregado');
     }
 })();
 
+/**
+ * Converte a simulação da calculadora (window.glxCalculator.getLeadSummary())
+ * em variáveis planas do template. Sem simulação, todas recebem um texto padrão.
+ * @param {Object|null} simulacao
+ * @returns {Object} Parâmetros sim_* + simulacao_url + simulacao_resumo
+ */
+function buildSimulationParams(simulacao) {
+    const semSimulacao = 'Não utilizou a calculadora';
+    const campos = ['sim_faturamento', 'sim_desperdicio', 'sim_margem', 'sim_investimento',
+        'sim_ganho_anual', 'sim_nova_margem', 'sim_payback', 'sim_roi', 'sim_vpl'];
+
+    if (!simulacao || typeof LSSCalculatorEngine === 'undefined') {
+        const params = { simulacao_url: semSimulacao, simulacao_resumo: semSimulacao };
+        campos.forEach(campo => { params[campo] = semSimulacao; });
+        return params;
+    }
+
+    const Engine = LSSCalculatorEngine;
+    const opts = { locale: simulacao.locale, moeda: simulacao.moeda, compacto: false };
+    const moeda = (val) => Engine.formatarMoeda(val, opts);
+    const pct = (val) => Engine.formatarPercentual(val, 1, opts);
+    const { entradas, resultados } = simulacao;
+
+    const params = {
+        sim_faturamento: `${moeda(entradas.faturamento)}/mês`,
+        sim_desperdicio: pct(entradas.desperdicio),
+        sim_margem: pct(entradas.margem),
+        sim_investimento: `${moeda(entradas.consultoria + entradas.implantacao)} + ${moeda(entradas.mensalidade)}/mês`,
+        sim_ganho_anual: moeda(resultados.valorRecuperavel),
+        sim_nova_margem: pct(resultados.novaMargem),
+        sim_payback: Engine.formatarPayback(resultados.payback, opts),
+        sim_roi: ['roi12', 'roi24', 'roi36'].map(k => Engine.formatarROI(resultados[k], opts)).join(' / '),
+        sim_vpl: moeda(resultados.vpl),
+        simulacao_url: simulacao.url
+    };
+
+    params.simulacao_resumo = [
+        `Cenário: ${simulacao.cenario} (${simulacao.totalCenarios} simulado(s))`,
+        `Faturamento: ${params.sim_faturamento}`,
+        `Desperdício: ${params.sim_desperdicio} | Margem atual: ${params.sim_margem}`,
+        `Investimento: ${params.sim_investimento}`,
+        `Ganho anual em regime: ${params.sim_ganho_anual} | Nova margem: ${params.sim_nova_margem}`,
+        `Payback: ${params.sim_payback} | ROI 12/24/36: ${params.sim_roi} | VPL: ${params.sim_vpl}`
+    ].join('\n');
+
+    return params;
+}
+
 /**
  * Função para enviar o formulário de contato
- * @param {Object} formData - Dados do formulário
+ * @param {Object} formData - Dados do formulário (+ `simulacao` opcional, ver getLeadSummary)
  * @returns {Promise} - Promessa do envio
  */
-function sendContactEmail(formData) {
-    // Verificar se as credenciais foram configuradas
-    if (EMAILJS_CONFIG.PUBLIC_KEY === 'YOUR_PUBLIC_KEY' || 
-        EMAILJS_CONFIG.SERVICE_ID === 'YOUR_SERVICE_ID' || 
-        EMAILJS_CONFIG.TEMPLATE_ID === 'YOUR_TEMPLATE_ID') {
-        
-        const errorMsg = '⚠️ Configuração do EmailJS pendente! Substitua os placeholders em js/email-config.js pelas suas chaves reais.';
-        console.error(errorMsg);
-        return Promise.reject(new Error(errorMsg));
+async function sendContactEmail(formData) {
+    if (typeof LeadTransport === 'undefined') {
+        throw new Error('Configuração pendente: js/lead-transport.js não carregado');
     }
 
+    // Agendamento (js/meeting-scheduler.js) complementa um lead já pontuado e roteado: vai ao destino padrão
+    const agendamento = formData.tipo === 'agendamento';
+
+    // Classificação do e-mail + nota do lead (js/email-quality.js), igual em todos os canais
+    if (!agendamento && !formData.qualidade && window.EmailQuality) {
+        formData.qualidade = EmailQuality.assess(formData);
+    }
+
+    // Destino do lead pelas regras de data/lead-routing.json (js/lead-routing.js);
+    // calculado uma vez: reenvios da fila offline mantêm o mesmo destino
+    if (!agendamento && !formData.roteamento && window.LeadRouter) {
+        const { detalhes, ...roteamento } = await LeadRouter.route(formData);
+        formData.roteamento = roteamento;
+        if (window.trackEvent) {
+            window.trackEvent('lead_routed', { destino: roteamento.destino, score: roteamento.score });
+        }
+    }
+    const roteamento = formData.roteamento || {};
+
     const templateParams = {
         nome: formData.nome,
         cargo: formData.cargo,
         email: formData.email,
+        telefone: formData.telefone || 'Não informado',
         desafio: formData.desafio,
         mensagem: formData.mensagem || 'Não informada',
-        to_email: EMAILJS_CONFIG.TO_EMAIL
+        // Perfil e preferência de contato (js/multi-step-form.js)
+        tipo_clinica: formData.tipoClinica || '',
+        porte: formData.porte || '',
+        preferencia_contato: formData.preferenciaContato || '',
+        periodo_contato: formData.periodoContato || '',
+        perfil_resumo: formData.perfilResumo || '',
+        agendamento: formData.agendamento ? formData.agendamento.descricao : '',
+        // Simulação feita na calculadora (js/calculator.js), se houver
+        ...buildSimulationParams(formData.simulacao),
+        qualidade_score: formData.qualidade ? formData.qualidade.score : '',
+        email_tipo: formData.qualidade ? formData.qualidade.emailTipo : '',
+        prioridade: roteamento.prioridade || '',
+        lead_score: roteamento.score !== undefined && roteamento.score !== null ? roteamento.score : '',
+        // ID único do lead (js/lead-outbox.js): identifica reenvios do mesmo lead
+        lead_id: formData.leadId || '',
+        protocolo: formData.protocolo || '',
+        to_email: roteamento.destinatarios || EMAILJS_CONFIG.TO_EMAIL
     };
+
+    // Template do destino escolhido (mesmas credenciais EmailJS)
+    const config = roteamento.template
+        ? { ...LEAD_TRANSPORT_CONFIG, emailjs: { ...LEAD_TRANSPORT_CONFIG.emailjs, TEMPLATE_ID: roteamento.template } }
+        : LEAD_TRANSPORT_CONFIG;
     
-    return emailjs.send(
-        EMAILJS_CONFIG.SERVICE_ID,
-        EMAILJS_CONFIG.TEMPLATE_ID,
-        templateParams
-    );
+    return LeadTransport.send(formData, templateParams, config);
 }
 
 // Exportar para uso global
 window.EMAILJS_CONFIG = EMAILJS_CONFIG;
+window.LEAD_TRANSPORT_CONFIG = LEAD_TRANSPORT_CONFIG;
 window.sendContactEmail = sendContactEmail;
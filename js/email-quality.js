@@ -0,0 +1,222 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GLX PARTNERS - QUALIDADE DO E-MAIL DO LEAD
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * PROPÓSITO (WHY):
+ * -----------------
+ * A Luna pede "E-mail Corporativo", mas só o formato era conferido: e-mails
+ * descartáveis (mailinator, yopmail...) passavam e o time comercial não sabia
+ * se o lead era de uma empresa ou de um gmail pessoal. Este módulo classifica
+ * o domínio, sugere correção de erros de digitação e dá uma nota ao lead.
+ *
+ * | Tipo         | Exemplo              | Efeito                                    |
+ * |--------------|----------------------|-------------------------------------------|
+ * | descartavel  | fulano@yopmail.com   | Bloqueado (js/lead-schema.js)             |
+ * | webmail      | fulano@gmail.com     | Aceito, marcado como não corporativo      |
+ * | corporativo  | fulano@clinica.com.br| Aceito                                    |
+ *
+ * - Sugestão: "fulano@gmial.com" → "Você quis dizer fulano@gmail.com?"
+ *   Só para erros inequívocos: letras trocadas de lugar ou repetidas/faltando
+ *   num provedor comum, digitações conhecidas (EMAIL_DOMAIN_FIXES) e TLDs com
+ *   erro. Domínios curtos ou que diferem por uma letra qualquer (ge.com,
+ *   serra.com.br) são de empresas reais e não recebem sugestão.
+ * - Score (0–100) vai no payload: `lead.qualidade` e {{qualidade_score}},
+ *   {{email_tipo}} no template (js/email-config.js).
+ *
+ * SCORE:
+ * ------
+ *   E-mail: corporativo 60 | webmail 30 | descartável 0
+ *   + nome e sobrenome 10 | cargo 10 | mensagem com conteúdo 10 | telefone 10
+ *
+ * As listas são embarcadas (sem API externa); para incluir domínios basta
+ * editar os arrays abaixo.
+ */
+
+const DISPOSABLE_EMAIL_DOMAINS = [
+    '10minutemail.com', '10minutemail.net', '1secmail.com', '1secmail.net', '33mail.com',
+    'burnermail.io', 'discard.email', 'dispostable.com', 'dropmail.me', 'emailfake.com',
+    'emailondeck.com', 'fakeinbox.com', 'fakemail.net', 'getairmail.com', 'getnada.com',
+    'grr.la', 'guerrillamail.com', 'guerrillamail.net', 'guerrillamail.org', 'guerrillamailblock.com',
+    'harakirimail.com', 'inboxkitten.com', 'mail-temp.com', 'mailcatch.com', 'maildrop.cc',
+    'mailinator.com', 'mailinator.net', 'mailnesia.com', 'mailpoof.com', 'mintemail.com',
+    'minuteinbox.com', 'moakt.com', 'mohmal.com', 'mytemp.email', 'nada.email',
+    'sharklasers.com', 'spam4.me', 'spambox.us', 'spamgourmet.com', 'tempail.com',
+    'tempinbox.com', 'tempmail.com', 'tempmail.net', 'temp-mail.io', 'temp-mail.org',
+    'tempmailo.com', 'tempr.email', 'throwawaymail.com', 'trashmail.com', 'trashmail.de',
+    'yopmail.com', 'yopmail.fr', 'yopmail.net'
+];
+
+const FREE_WEBMAIL_DOMAINS = [
+    'gmail.com', 'hotmail.com', 'outlook.com', 'yahoo.com', 'yahoo.com.br', 'icloud.com',
+    'live.com', 'msn.com', 'hotmail.com.br', 'outlook.com.br', 'bol.com.br', 'uol.com.br',
+    'terra.com.br', 'ig.com.br', 'globo.com', 'globomail.com', 'r7.com', 'zipmail.com.br',
+    'aol.com', 'me.com', 'protonmail.com', 'proton.me', 'gmx.com', 'mail.com',
+    'yandex.com', 'zoho.com', 'googlemail.com', 'yahoo.com.mx', 'yahoo.es', 'hotmail.es'
+];
+
+// Digitações conhecidas: provedores brasileiros sem o ".br" e erros comuns que não são
+// troca de posição nem letra repetida (esses são detectados em isTypoOf)
+const EMAIL_DOMAIN_FIXES = {
+    'uol.com': 'uol.com.br', 'bol.com': 'bol.com.br', 'terra.com': 'terra.com.br', 'ig.com': 'ig.com.br',
+    'gmai.com': 'gmail.com', 'gmal.com': 'gmail.com', 'gmil.com': 'gmail.com', 'gnail.com': 'gmail.com',
+    'gmaul.com': 'gmail.com', 'hotmai.com': 'hotmail.com', 'hotmal.com': 'hotmail.com', 'hotmil.com': 'hotmail.com',
+    'hotnail.com': 'hotmail.com', 'homail.com': 'hotmail.com', 'otmail.com': 'hotmail.com', 'outlok.com.br': 'outlook.com.br',
+    'yaho.com': 'yahoo.com', 'yaho.com.br': 'yahoo.com.br', 'iclod.com': 'icloud.com', 'icoud.com': 'icloud.com'
+};
+
+// Domínios mais curtos que isso não recebem sugestão por semelhança (ge.com, gm.com)
+const EMAIL_SUGGEST_MIN_LENGTH = 8;
+
+// Erros comuns no TLD (a parte depois do último ponto relevante)
+const EMAIL_TLD_TYPOS = {
+    con: 'com', cmo: 'com', ocm: 'com', cpm: 'com', vom: 'com', xom: 'com', comm: 'com', coom: 'com',
+    'com.bt': 'com.br', 'com.vr': 'com.br', 'com.brr': 'com.br', 'cm.br': 'com.br', 'co.br': 'com.br', 'con.br': 'com.br'
+};
+
+const EmailQuality = {
+    DISPOSABLE: DISPOSABLE_EMAIL_DOMAINS,
+    FREE_WEBMAIL: FREE_WEBMAIL_DOMAINS,
+    DOMAIN_FIXES: EMAIL_DOMAIN_FIXES,
+    TLD_TYPOS: EMAIL_TLD_TYPOS,
+
+    domainOf(email) {
+        const at = String(email || '').lastIndexOf('@');
+        return at < 0 ? '' : String(email).slice(at + 1).trim().toLowerCase();
+    },
+
+    // Confere o domínio e os subdomínios (ex: abc.mailinator.com)
+    inList(domain, list) {
+        return list.some(item => domain === item || domain.endsWith(`.${item}`));
+    },
+
+    isDisposable(email) {
+        const domain = this.domainOf(email);
+        return Boolean(domain) && this.inList(domain, DISPOSABLE_EMAIL_DOMAINS);
+    },
+
+    isFreeWebmail(email) {
+        const domain = this.domainOf(email);
+        return Boolean(domain) && this.inList(domain, FREE_WEBMAIL_DOMAINS);
+    },
+
+    /**
+     * Classifica o e-mail
+     * @returns {'descartavel'|'webmail'|'corporativo'}
+     */
+    classify(email) {
+        if (this.isDisposable(email)) return 'descartavel';
+        if (this.isFreeWebmail(email)) return 'webmail';
+        return 'corporativo';
+    },
+
+    /**
+     * `typed` é `domain` com um erro típico de digitação: duas letras vizinhas trocadas
+     * ("gmial" → "gmail") ou uma letra repetida a mais/a menos ("gmaill", "outlok").
+     * Trocar uma letra por outra não conta: "serra.com.br" é uma empresa, não "terra.com.br".
+     */
+    isTypoOf(typed, domain) {
+        if (typed === domain) return false;
+        let i = 0;
+        while (typed[i] === domain[i]) i++;
+
+        if (typed.length === domain.length) {
+            return typed[i] === domain[i + 1] && typed[i + 1] === domain[i] && typed.slice(i + 2) === domain.slice(i + 2);
+        }
+
+        const [longer, shorter] = typed.length > domain.length ? [typed, domain] : [domain, typed];
+        if (longer.length !== shorter.length + 1 || longer.slice(i + 1) !== shorter.slice(i)) return false;
+        return longer[i] === longer[i - 1] || longer[i] === longer[i + 1];
+    },
+
+    /**
+     * Sugere correção para erro de digitação no domínio
+     * @param {string} email
+     * @returns {string|null} E-mail corrigido ou null se não houver sugestão
+     */
+    suggest(email) {
+        const value = String(email || '').trim().toLowerCase();
+        const domain = this.domainOf(value);
+        if (!domain || !domain.includes('.')) return null;
+        if (this.inList(domain, FREE_WEBMAIL_DOMAINS) || this.inList(domain, DISPOSABLE_EMAIL_DOMAINS)) return null;
+
+        const local = value.slice(0, value.lastIndexOf('@'));
+        if (EMAIL_DOMAIN_FIXES[domain]) return `${local}@${EMAIL_DOMAIN_FIXES[domain]}`;
+
+        // 1. Provedor conhecido escrito errado (gmial.com, hotmaill.com)
+        if (domain.length >= EMAIL_SUGGEST_MIN_LENGTH) {
+            const provider = FREE_WEBMAIL_DOMAINS.find(candidate => this.isTypoOf(domain, candidate));
+            if (provider) return `${local}@${provider}`;
+        }
+
+        // 2. TLD errado em domínio próprio (clinica.con, clinica.com.bt)
+        const tld = Object.keys(EMAIL_TLD_TYPOS)
+            .sort((a, b) => b.length - a.length)
+            .find(typo => domain.endsWith(`.${typo}`));
+        if (tld) return `${local}@${domain.slice(0, -tld.length)}${EMAIL_TLD_TYPOS[tld]}`;
+
+        return null;
+    },
+
+    /**
+     * Nota de qualidade do lead (0–100) e classificação do e-mail
+     * @param {Object} lead - Lead normalizado (js/lead-schema.js)
+     * @returns {{score: number, emailTipo: string, dominio: string, corporativo: boolean}}
+     */
+    assess(lead) {
+        const emailTipo = this.classify(lead.email);
+        const mensagem = String(lead.mensagem || '').trim();
+        const semConteudo = /^(sem d[uú]vida|n[aã]o informad[ao]|n[aã]o|nada|-)?$/i.test(mensagem);
+
+        let score = { corporativo: 60, webmail: 30, descartavel: 0 }[emailTipo];
+        if (String(lead.nome || '').trim().split(/\s+/).length >= 2) score += 10;
+        if (String(lead.cargo || '').trim()) score += 10;
+        if (!semConteudo) score += 10;
+        if (lead.telefone) score += 10;
+
+        return {
+            score,
+            emailTipo,
+            dominio: this.domainOf(lead.email),
+            corporativo: emailTipo === 'corporativo'
+        };
+    },
+
+    // --- UI: dica "Você quis dizer...?" abaixo de inputs com [data-email-suggest] ---
+
+    attachSuggestion(input) {
+        const hint = document.createElement('p');
+        hint.className = 'text-sm text-amber-500 font-medium mt-2 hidden';
+        input.insertAdjacentElement('afterend', hint);
+
+        const update = () => {
+            const suggestion = this.suggest(input.value);
+            hint.textContent = '';
+            hint.classList.toggle('hidden', !suggestion);
+            if (!suggestion) return;
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'underline font-bold';
+            button.textContent = suggestion;
+            button.addEventListener('click', () => {
+                input.value = suggestion;
+                hint.classList.add('hidden');
+                if (window.trackEvent) {
+                    window.trackEvent('email_suggestion_accepted', { dominio: this.domainOf(suggestion) });
+                }
+            });
+            hint.append('Você quis dizer ', button, '?');
+        };
+
+        input.addEventListener('blur', update);
+        input.addEventListener('change', update);
+    }
+};
+
+// Auto-init
+document.addEventListener('DOMContentLoaded', () => {
+    document.querySelectorAll('input[data-email-suggest]').forEach(input => EmailQuality.attachSuggestion(input));
+});
+
+window.EmailQuality = EmailQuality;
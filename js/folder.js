@@ -157,6 +157,7 @@ class FolderComponent {
             paper.addEventListener('click', (e) => {
                 if(!this.isOpen) return;
                 e.stopPropagation(); // prevent folder close
+                if (window.trackEvent) window.trackEvent('material_download', { material: this.items[i].title });
                 alert(`Baixando: ${this.items[i].title}`);
             });
         });
@@ -0,0 +1,307 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GLX PARTNERS - OUTBOX DE LEADS (FILA OFFLINE COM REENVIO)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * PROPÓSITO (WHY):
+ * -----------------
+ * Antes, um lead que falhava no envio era perdido: o #contactForm só mostrava
+ * "Ocorreu um erro" e a Luna sobrescrevia a chave única `glx_lead_backup`,
+ * que nunca era lida de volta. Agora todo lead que falha (em qualquer canal)
+ * entra nesta fila persistente e é reenviado automaticamente.
+ *
+ * GARANTIAS:
+ * ----------
+ * 1. **Não perde**: a fila vive no localStorage (`glx_lead_outbox`) e só
+ *    remove a entrada depois da confirmação do transporte.
+ * 2. **Não duplica**: cada lead recebe um `leadId` antes do primeiro envio.
+ *    - a mesma entrada nunca é enfileirada duas vezes;
+ *    - IDs já confirmados ficam em `glx_lead_outbox_sent` e são ignorados;
+ *    - um lock entre abas (Web Locks API, ou lock com TTL no localStorage)
+ *      impede que duas abas reenviem a mesma fila ao mesmo tempo;
+ *    - o `leadId` vai no payload (webhook deduplica; e-mail mostra {{lead_id}}).
+ * 3. **Reenvia**: ao voltar `online`, na próxima visita e por timer, com
+ *    backoff exponencial (30s, 1min, 2min... até 1h) + jitter, até
+ *    `maxAttempts` tentativas. Recusa definitiva (4xx do webhook, como o 422
+ *    do anti-spam, ou template inválido no EmailJS) não é repetida: a entrada
+ *    fica na fila marcada `parked` (sem reenvio) até expirar a retenção.
+ * 4. **Um protocolo por lead**: junto com o `leadId` o lead recebe o
+ *    `protocolo` legível (GLX-A3F8B7C2), o mesmo em todas as tentativas e em
+ *    todos os canais (e-mail, WhatsApp, thank-you.html).
+ *
+ * FLUXO:
+ * ------
+ *   deliver(lead) → envio imediato ──ok──→ markSent
+ *                        ├──falha──→ enqueue → flush() (online / próxima visita / timer)
+ *                        └──recusa──→ enqueue `parked` (status 'failed', sem reenvio)
+ */
+
+class LeadOutbox {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'glx_lead_outbox';
+        this.sentKey = options.sentKey || 'glx_lead_outbox_sent';
+        this.lockKey = options.lockKey || 'glx_lead_outbox_lock';
+        this.legacyKey = options.legacyKey || 'glx_lead_backup';
+        this.baseDelayMs = options.baseDelayMs || 30 * 1000;
+        this.maxDelayMs = options.maxDelayMs || 60 * 60 * 1000;
+        this.lockTtlMs = options.lockTtlMs || 30 * 1000;
+        this.maxSentIds = options.maxSentIds || 100;
+        this.maxAttempts = options.maxAttempts || 8; // ~4h de tentativas com o backoff padrão
+        // Transporte real (js/email-config.js → js/lead-transport.js)
+        this.send = options.send || ((lead) => window.sendContactEmail(lead));
+
+        this.flushing = false;
+        this.timer = null;
+    }
+
+    init() {
+        this.migrateLegacyBackup();
+        // Ao voltar a conexão ou numa nova visita não há motivo para esperar o backoff
+        window.addEventListener('online', () => this.flush({ force: true }));
+        this.flush({ force: true });
+    }
+
+    static createLeadId() {
+        if (window.crypto && window.crypto.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+        return `lead-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    // Protocolo exibido ao visitante (ex: GLX-A3F8B7C2)
+    static createProtocol() {
+        if (window.crypto && window.crypto.randomUUID) {
+            return `GLX-${window.crypto.randomUUID().split('-')[0].toUpperCase()}`;
+        }
+        // Fallback sem HTTPS: timestamp + aleatório
+        const timestamp = Date.now().toString(36).toUpperCase();
+        const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+        return `GLX-${timestamp}-${random}`;
+    }
+
+    // Atribui leadId e protocolo uma única vez (antes do primeiro envio) e devolve o leadId
+    ensureId(lead) {
+        if (!lead.leadId) lead.leadId = LeadOutbox.createLeadId();
+        if (!lead.protocolo) lead.protocolo = LeadOutbox.createProtocol();
+        return lead.leadId;
+    }
+
+    /**
+     * Erro que não adianta repetir: 4xx do webhook (js/lead-transport.js) ou do EmailJS.
+     * 408 (timeout) e 429 (rate limit) são temporários; sem status (rede, CORS) também.
+     */
+    static isPermanent(error) {
+        const status = Number(error && error.status);
+        return status >= 400 && status < 500 && ![408, 429].includes(status);
+    }
+
+    // EmailJS rejeita com { status, text }, não com Error
+    static describeError(error) {
+        if (!error) return null;
+        return String(error.message || (error.status ? `HTTP ${error.status}: ${error.text || ''}`.trim() : error));
+    }
+
+    // --- Storage ---
+
+    read(key) {
+        try {
+            return JSON.parse(localStorage.getItem(key)) || [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    write(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (e) {
+            console.error('Failed to save lead outbox:', e);
+            return false;
+        }
+    }
+
+    pending() {
+        return this.read(this.storageKey);
+    }
+
+    isSent(leadId) {
+        return this.read(this.sentKey).includes(leadId);
+    }
+
+    markSent(leadId) {
+        const sent = this.read(this.sentKey).filter(id => id !== leadId);
+        sent.push(leadId);
+        this.write(this.sentKey, sent.slice(-this.maxSentIds));
+        this.write(this.storageKey, this.pending().filter(entry => entry.id !== leadId));
+    }
+
+    // --- API ---
+
+    /**
+     * Envia o lead agora; se falhar, enfileira para reenvio automático
+     * @param {Object} lead - Dados do lead (recebe `leadId` se ainda não tiver)
+     * @returns {Promise<{status: 'sent'|'queued'|'failed', leadId: string, protocolo: string, response?: Object, error?: Error}>}
+     *          'failed' = recusa definitiva (ver isPermanent): o lead fica guardado, mas não será reenviado
+     */
+    async deliver(lead) {
+        const leadId = this.ensureId(lead);
+        const protocolo = lead.protocolo;
+        try {
+            const response = await this.send(lead);
+            this.markSent(leadId);
+            return { status: 'sent', leadId, protocolo, response };
+        } catch (error) {
+            if (LeadOutbox.isPermanent(error)) {
+                console.error('[LeadOutbox] Envio recusado, lead guardado sem reenvio:', error);
+                this.enqueue(lead, error);
+                return { status: 'failed', leadId, protocolo, error };
+            }
+            console.error('[LeadOutbox] Envio falhou, lead enfileirado:', error);
+            this.enqueue(lead, error);
+            return { status: 'queued', leadId, protocolo, error };
+        }
+    }
+
+    /**
+     * Adiciona o lead à fila (idempotente pelo leadId); com erro definitivo entra já `parked`
+     * @returns {boolean} true se o lead está (ou já estava) na fila
+     */
+    enqueue(lead, error) {
+        const leadId = this.ensureId(lead);
+        if (this.isSent(leadId)) return false;
+
+        const queue = this.pending();
+        if (!queue.some(entry => entry.id === leadId)) {
+            queue.push({
+                id: leadId,
+                lead,
+                attempts: 0,
+                createdAt: new Date().toISOString(),
+                nextAttemptAt: Date.now() + this.baseDelayMs,
+                parked: LeadOutbox.isPermanent(error),
+                lastError: LeadOutbox.describeError(error)
+            });
+            if (!this.write(this.storageKey, queue)) return false;
+        }
+
+        this.schedule();
+        return true;
+    }
+
+    /**
+     * Reenvia as entradas vencidas (ou todas, com `force`). Seguro para chamar a
+     * qualquer momento: só uma aba e uma execução por vez processam a fila.
+     */
+    async flush({ force = false } = {}) {
+        if (this.flushing || !navigator.onLine) {
+            this.schedule();
+            return;
+        }
+
+        this.flushing = true;
+        try {
+            if (navigator.locks && navigator.locks.request) {
+                await navigator.locks.request(this.lockKey, { ifAvailable: true }, lock => lock && this.processQueue(force));
+            } else if (this.acquireStorageLock()) {
+                try {
+                    await this.processQueue(force);
+                } finally {
+                    localStorage.removeItem(this.lockKey);
+                }
+            }
+        } finally {
+            this.flushing = false;
+            this.schedule();
+        }
+    }
+
+    async processQueue(force) {
+        const due = this.pending().filter(entry => !entry.parked && (force || entry.nextAttemptAt <= Date.now()));
+
+        for (const entry of due) {
+            // Outra aba pode ter confirmado este lead enquanto esperávamos
+            if (this.isSent(entry.id)) {
+                this.markSent(entry.id);
+                continue;
+            }
+
+            try {
+                await this.send(entry.lead);
+                this.markSent(entry.id);
+                if (window.trackEvent) {
+                    window.trackEvent('lead_outbox_resent', { attempts: entry.attempts + 1 });
+                }
+            } catch (error) {
+                this.reschedule(entry.id, error);
+            }
+        }
+    }
+
+    // Próxima tentativa com backoff, ou `parked` se a recusa for definitiva / as tentativas acabarem
+    reschedule(leadId, error) {
+        const queue = this.pending().map(entry => {
+            if (entry.id !== leadId) return entry;
+            const attempts = entry.attempts + 1;
+            const lastError = LeadOutbox.describeError(error);
+
+            if (LeadOutbox.isPermanent(error) || attempts >= this.maxAttempts) {
+                console.error(`[LeadOutbox] Lead ${leadId} não será mais reenviado (${attempts} tentativa(s)):`, error);
+                if (window.trackEvent) {
+                    window.trackEvent('lead_outbox_failed', { attempts, status: Number(error && error.status) || null });
+                }
+                return { ...entry, attempts, parked: true, lastError };
+            }
+
+            const delay = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempts - 1));
+            const jitter = delay * (0.8 + Math.random() * 0.4);
+            return { ...entry, attempts, nextAttemptAt: Date.now() + jitter, lastError };
+        });
+        this.write(this.storageKey, queue);
+    }
+
+    // Fallback sem Web Locks: lock com expiração para não travar se a aba fechar no meio
+    acquireStorageLock() {
+        try {
+            const now = Date.now();
+            const current = Number(localStorage.getItem(this.lockKey)) || 0;
+            if (now - current < this.lockTtlMs) return false;
+            localStorage.setItem(this.lockKey, String(now));
+            return true;
+        } catch (e) {
+            return true; // Sem storage não há fila compartilhada para proteger
+        }
+    }
+
+    // Agenda o próximo flush para a entrada que vence primeiro
+    schedule() {
+        clearTimeout(this.timer);
+        const queue = this.pending().filter(entry => !entry.parked);
+        if (!queue.length) return;
+
+        const next = Math.min(...queue.map(entry => entry.nextAttemptAt));
+        this.timer = setTimeout(() => this.flush(), Math.max(1000, next - Date.now()));
+    }
+
+    // Backup antigo da Luna (chave única, nunca reenviado) vira entrada da fila
+    migrateLegacyBackup() {
+        try {
+            const legacy = JSON.parse(localStorage.getItem(this.legacyKey));
+            // Só apaga o backup depois que ele estiver na fila
+            if (!legacy || !legacy.data || !legacy.data.email || this.enqueue(legacy.data)) {
+                localStorage.removeItem(this.legacyKey);
+            }
+        } catch (e) {
+            console.warn('[LeadOutbox] Backup legado inválido, descartado:', e);
+            localStorage.removeItem(this.legacyKey);
+        }
+    }
+}
+
+// Auto-init (instância criada já no carregamento para os canais poderem usá-la)
+window.leadOutbox = new LeadOutbox();
+document.addEventListener('DOMContentLoaded', () => {
+    window.leadOutbox.init();
+});
+
+window.LeadOutbox = LeadOutbox;
@@ -0,0 +1,140 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GLX PARTNERS - PONTUAÇÃO E ROTEAMENTO DE LEADS
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * PROPÓSITO (WHY):
+ * -----------------
+ * Todo lead ia para a mesma lista `TO_EMAIL`, sem distinguir um CEO com
+ * simulação de R$ 500 mil/mês de um contato genérico. Este motor pontua o lead
+ * e escolhe o destino (template, destinatários, WhatsApp, etiqueta de
+ * prioridade) a partir de regras em `data/lead-routing.json`, que o time
+ * comercial edita sem mexer em código.
+ *
+ * PONTUAÇÃO (somada; em cada lista vale a primeira regra que combinar):
+ * ---------------------------------------------------------------------
+ * | Critério          | Fonte                                         |
+ * |-------------------|-----------------------------------------------|
+ * | cargo             | lead.cargo ('contem', sem acentos)            |
+ * | desafio           | lead.desafio ('contem', sem acentos)          |
+ * | email             | EmailQuality.classify() (js/email-quality.js) |
+ * | faturamentoMensal | lead.simulacao.entradas.faturamento ('min')   |
+ *
+ * 'contem' casa no início de palavra: "socio" pega "sócio" e "sócios", mas
+ * não "associado". Os 'min' de faturamento estão em reais; simulação feita em
+ * outra moeda (js/calculator-engine.js) cai na regra `padrao`.
+ *
+ * ROTEAMENTO: primeiro destino com `scoreMinimo` <= score.
+ *
+ * Se o JSON não carregar (offline, arquivo inválido), o lead segue com o
+ * destino padrão de js/email-config.js: nenhum lead deixa de ser enviado
+ * por causa das regras.
+ */
+
+const LeadRouter = {
+    dataUrl: 'data/lead-routing.json',
+    rulesPromise: null,
+
+    // Carrega as regras uma vez por página
+    loadRules() {
+        if (!this.rulesPromise) {
+            this.rulesPromise = fetch(this.dataUrl)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .catch(error => {
+                    console.error('[LeadRouter] Erro ao carregar regras, usando destino padrão:', error);
+                    return null;
+                });
+        }
+        return this.rulesPromise;
+    },
+
+    normalizeText(value) {
+        return String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    },
+
+    // Termo no início de uma palavra do texto (já normalizado)
+    containsWord(text, term) {
+        const escaped = this.normalizeText(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(^|[^a-z0-9])${escaped}`).test(text);
+    },
+
+    // Primeira regra que combina com o texto (ou a regra `padrao`)
+    matchText(rules = [], value) {
+        const text = this.normalizeText(value);
+        return rules.find(rule => rule.padrao || (rule.contem || []).some(term => this.containsWord(text, term))) || null;
+    },
+
+    matchMin(rules = [], value) {
+        return rules.find(rule => rule.padrao || (Number.isFinite(value) && value >= rule.min)) || null;
+    },
+
+    /**
+     * Pontua o lead
+     * @param {Object} lead - Lead normalizado (js/lead-schema.js)
+     * @param {Object} rules - Conteúdo de data/lead-routing.json
+     * @returns {{score: number, detalhes: Array<{criterio: string, descricao: string, pontos: number}>}}
+     */
+    score(lead, rules) {
+        const { pontuacao = {} } = rules;
+        const detalhes = [];
+        const add = (criterio, rule) => {
+            if (rule) detalhes.push({ criterio, descricao: rule.descricao || '', pontos: Number(rule.pontos) || 0 });
+        };
+
+        add('cargo', this.matchText(pontuacao.cargo, lead.cargo));
+        add('desafio', this.matchText(pontuacao.desafio, lead.desafio));
+
+        if (pontuacao.email && window.EmailQuality) {
+            const tipo = EmailQuality.classify(lead.email);
+            add('email', { descricao: `E-mail ${tipo}`, pontos: pontuacao.email[tipo] });
+        }
+
+        // Faixas em reais: faturamento em outra moeda não é comparado
+        const { simulacao } = lead;
+        const emReais = simulacao && simulacao.entradas && (simulacao.moeda || 'BRL') === 'BRL';
+        const faturamento = emReais ? Number(simulacao.entradas.faturamento) : NaN;
+        add('faturamentoMensal', this.matchMin(pontuacao.faturamentoMensal, faturamento));
+
+        return { score: detalhes.reduce((acc, item) => acc + item.pontos, 0), detalhes };
+    },
+
+    /**
+     * Pontua e escolhe o destino do lead
+     * @param {Object} lead
+     * @returns {Promise<{destino: string, score: number|null, prioridade: string, template: string, destinatarios: string, whatsapp: string, detalhes: Array}>}
+     */
+    async route(lead) {
+        const fallback = {
+            destino: 'padrao',
+            score: null,
+            prioridade: '',
+            template: EMAILJS_CONFIG.TEMPLATE_ID,
+            destinatarios: EMAILJS_CONFIG.TO_EMAIL,
+            whatsapp: EMAILJS_CONFIG.WHATSAPP,
+            detalhes: []
+        };
+
+        const rules = await this.loadRules();
+        if (!rules || !Array.isArray(rules.destinos)) return fallback;
+
+        const { score, detalhes } = this.score(lead, rules);
+        const destino = rules.destinos.find(item => score >= (Number(item.scoreMinimo) || 0));
+        if (!destino) return { ...fallback, score, detalhes };
+
+        return {
+            destino: destino.id,
+            score,
+            prioridade: destino.prioridade || '',
+            template: destino.template || fallback.template,
+            destinatarios: destino.destinatarios || fallback.destinatarios,
+            whatsapp: destino.whatsapp || fallback.whatsapp,
+            detalhes
+        };
+    }
+};
+
+// Exportar para uso global
+window.LeadRouter = LeadRouter;
@@ -0,0 +1,263 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GLX PARTNERS - SCHEMA DO LEAD (NORMALIZAÇÃO + VALIDAÇÃO)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * PROPÓSITO (WHY):
+ * -----------------
+ * O mesmo lead (nome, cargo, email, desafio, mensagem) era montado à mão em
+ * três lugares — #contactForm (index.html), #modalForm (thank-you.html) e
+ * LunaChatbot.handleFlow() (js/animations.js) — cada um validando de um jeito
+ * (ou não validando). Este arquivo é a única definição do lead:
+ *
+ * | Campo    | Obrigatório | Normalização                   | Regra                      |
+ * |----------|-------------|--------------------------------|----------------------------|
+ * | nome     | sim         | trim + espaços únicos          | 3–120 caracteres           |
+ * | cargo    | sim         | trim + espaços únicos          | 2–80 caracteres            |
+ * | email    | sim         | trim + minúsculas              | formato, não descartável   |
+ * | telefone | não         | E.164 (+5511999998888)         | + e 8–15 dígitos           |
+ * | desafio  | sim         | trim + espaços únicos          | ≤ 200 caracteres           |
+ * | mensagem | não         | trim (padrão 'Não informada')  | ≤ 2000 caracteres          |
+ *
+ * Perfil e preferência (tipoClinica, porte, preferenciaContato, periodoContato)
+ * são opcionais aqui: o formulário em etapas (js/multi-step-form.js) os exige
+ * pelo `obrigatorio` de data/contact-form.json e só aceita os valores listados lá.
+ *
+ * USO:
+ * ----
+ *   const { valid, data, errors } = LeadSchema.validate(LeadSchema.fromForm(form));
+ *   const { valid, value, error } = LeadSchema.validateField('email', texto);
+ *
+ * `errors` é { campo: mensagem } no idioma da página (<html lang>), com
+ * mensagens em pt-BR, es e en. SecurityManager.validateFormInput() usa os
+ * mesmos tipos (email, phone, text) para não existirem duas regras de e-mail.
+ */
+
+const LEAD_SCHEMA = {
+    nome: { type: 'text', required: true, minLength: 3, maxLength: 120 },
+    cargo: { type: 'text', required: true, minLength: 2, maxLength: 80 },
+    email: { type: 'email', required: true, maxLength: 254 },
+    telefone: { type: 'phone', required: false },
+    desafio: { type: 'text', required: true, maxLength: 200 },
+    mensagem: { type: 'multiline', required: false, maxLength: 2000, default: 'Não informada' },
+    tipoClinica: { type: 'text', required: false, maxLength: 40 },
+    porte: { type: 'text', required: false, maxLength: 40 },
+    preferenciaContato: { type: 'text', required: false, maxLength: 40 },
+    periodoContato: { type: 'text', required: false, maxLength: 40 }
+};
+
+const LEAD_SCHEMA_MESSAGES = {
+    'pt-BR': {
+        labels: {
+            nome: 'Nome', cargo: 'Cargo', email: 'E-mail', telefone: 'Telefone', desafio: 'Desafio', mensagem: 'Mensagem',
+            tipoClinica: 'Tipo de operação', porte: 'Porte', preferenciaContato: 'Canal de contato', periodoContato: 'Período de contato'
+        },
+        required: '{label} é obrigatório.',
+        minLength: '{label} precisa ter pelo menos {min} caracteres.',
+        maxLength: '{label} pode ter no máximo {max} caracteres.',
+        email: 'Hmm, esse e-mail parece inválido. Confira e tente novamente.',
+        phone: 'Telefone inválido. Use DDD + número (ex: 11 99999-8888).',
+        disposable: 'E-mails temporários não são aceitos. Use seu e-mail corporativo, por favor.'
+    },
+    es: {
+        labels: {
+            nome: 'Nombre', cargo: 'Cargo', email: 'Correo electrónico', telefone: 'Teléfono', desafio: 'Desafío', mensagem: 'Mensaje',
+            tipoClinica: 'Tipo de operación', porte: 'Tamaño', preferenciaContato: 'Canal de contacto', periodoContato: 'Horario de contacto'
+        },
+        required: '{label} es obligatorio.',
+        minLength: '{label} debe tener al menos {min} caracteres.',
+        maxLength: '{label} puede tener como máximo {max} caracteres.',
+        email: 'Ese correo electrónico no parece válido. Revísalo e inténtalo de nuevo.',
+        phone: 'Teléfono inválido. Incluye el código de país (ej: +52 55 1234 5678).',
+        disposable: 'No aceptamos correos temporales. Usa tu correo corporativo, por favor.'
+    },
+    en: {
+        labels: {
+            nome: 'Name', cargo: 'Role', email: 'Email', telefone: 'Phone', desafio: 'Challenge', mensagem: 'Message',
+            tipoClinica: 'Type of practice', porte: 'Size', preferenciaContato: 'Contact channel', periodoContato: 'Contact time'
+        },
+        required: '{label} is required.',
+        minLength: '{label} must be at least {min} characters.',
+        maxLength: '{label} must be at most {max} characters.',
+        email: 'That email address looks invalid. Please check it and try again.',
+        phone: 'Invalid phone number. Include the country code (e.g. +1 415 555 0100).',
+        disposable: 'Temporary email addresses are not accepted. Please use your work email.'
+    }
+};
+
+const LeadSchema = {
+    SCHEMA: LEAD_SCHEMA,
+    MESSAGES: LEAD_SCHEMA_MESSAGES,
+    DEFAULT_COUNTRY_CODE: '55',
+
+    // Testes por tipo (também usados por SecurityManager.validateFormInput)
+    TYPES: {
+        email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value),
+        phone: (value) => /^\+[1-9]\d{7,14}$/.test(value),
+        text: (value) => value.length > 0 && value.length < 1000,
+        multiline: (value) => value.length < 5000
+    },
+
+    // --- Normalização ---
+
+    collapseSpaces(value) {
+        return String(value == null ? '' : value).trim().replace(/\s+/g, ' ');
+    },
+
+    /**
+     * Converte telefone para E.164. Sem código de país assume Brasil (DDD + número,
+     * com ou sem o 0 de operadora). Retorna o texto limpo se não der para converter,
+     * para a validação acusar o erro.
+     */
+    toE164(value, countryCode = this.DEFAULT_COUNTRY_CODE) {
+        const raw = String(value == null ? '' : value).trim();
+        if (!raw) return '';
+
+        const digits = raw.replace(/\D/g, '');
+        if (raw.startsWith('+')) return `+${digits}`;
+        if (digits.startsWith('00')) return `+${digits.slice(2)}`;
+
+        const national = digits.replace(/^0/, '');
+        if (countryCode === '55') {
+            if (national.length === 10 || national.length === 11) return `+55${national}`;
+            if (/^55\d{10,11}$/.test(national)) return `+${national}`;
+            return national;
+        }
+        return `+${countryCode}${national}`;
+    },
+
+    normalizeField(field, value) {
+        const rule = LEAD_SCHEMA[field];
+        if (!rule) return value;
+
+        switch (rule.type) {
+            case 'email':
+                return String(value == null ? '' : value).trim().toLowerCase();
+            case 'phone':
+                return this.toE164(value);
+            case 'multiline':
+                return String(value == null ? '' : value).trim();
+            default:
+                return this.collapseSpaces(value);
+        }
+    },
+
+    // --- Mensagens ---
+
+    resolveLocale(locale) {
+        const pageLang = typeof document !== 'undefined' && document.documentElement ? document.documentElement.lang : '';
+        const requested = locale || pageLang || 'pt-BR';
+        if (LEAD_SCHEMA_MESSAGES[requested]) return requested;
+        const language = requested.toLowerCase().split('-')[0];
+        if (language === 'pt') return 'pt-BR';
+        return LEAD_SCHEMA_MESSAGES[language] ? language : 'pt-BR';
+    },
+
+    message(key, field, locale, vars = {}) {
+        const messages = LEAD_SCHEMA_MESSAGES[this.resolveLocale(locale)];
+        const replacements = { label: messages.labels[field] || field, ...vars };
+        return messages[key].replace(/\{(\w+)\}/g, (match, name) => replacements[name] !== undefined ? replacements[name] : match);
+    },
+
+    // --- Validação ---
+
+    /**
+     * Normaliza e valida um campo
+     * @param {string} field - Nome do campo em LEAD_SCHEMA
+     * @param {*} value - Valor bruto (input, FormData, chat)
+     * @param {{locale?: string}} options
+     * @returns {{valid: boolean, value: *, error: string|null}}
+     */
+    validateField(field, value, { locale } = {}) {
+        const rule = LEAD_SCHEMA[field];
+        if (!rule) return { valid: true, value, error: null };
+
+        const normalized = this.normalizeField(field, value);
+        const fail = (key, vars) => ({ valid: false, value: normalized, error: this.message(key, field, locale, vars) });
+
+        if (!normalized) {
+            if (rule.required) return fail('required');
+            return { valid: true, value: rule.default !== undefined ? rule.default : '', error: null };
+        }
+        if (rule.minLength && normalized.length < rule.minLength) return fail('minLength', { min: rule.minLength });
+        if (rule.maxLength && normalized.length > rule.maxLength) return fail('maxLength', { max: rule.maxLength });
+        if (rule.type === 'email' && !this.TYPES.email(normalized)) return fail('email');
+        if (rule.type === 'email' && typeof EmailQuality !== 'undefined' && EmailQuality.isDisposable(normalized)) return fail('disposable');
+        if (rule.type === 'phone' && !this.TYPES.phone(normalized)) return fail('phone');
+
+        return { valid: true, value: normalized, error: null };
+    },
+
+    /**
+     * Normaliza e valida o lead inteiro. Campos fora do schema (simulacao,
+     * leadId, subject...) passam intactos.
+     * @param {Object} lead
+     * @param {{locale?: string, fields?: string[]}} options - `fields` limita a validação
+     * @returns {{valid: boolean, data: Object, errors: Object<string, string>}}
+     */
+    validate(lead, { locale, fields = Object.keys(LEAD_SCHEMA) } = {}) {
+        const data = { ...lead };
+        const errors = {};
+
+        fields.forEach(field => {
+            const result = this.validateField(field, lead[field], { locale });
+            data[field] = result.value;
+            if (!result.valid) errors[field] = result.error;
+        });
+
+        return { valid: Object.keys(errors).length === 0, data, errors };
+    },
+
+    // Lê do <form> apenas os campos do schema que existem nele
+    fromForm(form) {
+        const formData = new FormData(form);
+        const lead = {};
+        Object.keys(LEAD_SCHEMA).forEach(field => {
+            if (formData.has(field)) lead[field] = formData.get(field);
+        });
+        return lead;
+    },
+
+    /**
+     * Marca os campos inválidos do formulário e mostra o primeiro erro
+     * @param {HTMLFormElement} form
+     * @param {Object<string, string>} errors - Saída de validate()
+     * @param {HTMLElement} messageEl - Elemento de mensagem do formulário
+     */
+    reportErrors(form, errors, messageEl) {
+        // Grupos de radio chegam como RadioNodeList: marca cada opção
+        const inputsOf = (field) => {
+            const input = form.elements[field];
+            if (!input) return [];
+            return input.setAttribute ? [input] : Array.from(input);
+        };
+
+        Object.keys(LEAD_SCHEMA).forEach(field => {
+            const invalid = Boolean(errors[field]);
+            inputsOf(field).forEach(input => {
+                input.setAttribute('aria-invalid', String(invalid));
+                input.classList.toggle('border-red-400', invalid);
+            });
+        });
+
+        const fields = Object.keys(errors);
+        if (!fields.length) return;
+
+        if (messageEl) {
+            messageEl.textContent = fields.map(field => errors[field]).join(' ');
+            messageEl.classList.remove('hidden', 'text-amber-400');
+            messageEl.classList.add('text-red-500', 'font-bold');
+        }
+        const [first] = inputsOf(fields[0]);
+        if (first && first.focus) first.focus();
+    }
+};
+
+// Exportar para uso global (navegador) e para os testes (node --test)
+if (typeof window !== 'undefined') {
+    window.LEAD_SCHEMA = LEAD_SCHEMA;
+    window.LeadSchema = LeadSchema;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LEAD_SCHEMA, LeadSchema };
+}
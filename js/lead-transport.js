@@ -0,0 +1,149 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GLX PARTNERS - TRANSPORTE DE LEADS (PLUGÁVEL)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * PROPÓSITO (WHY):
+ * -----------------
+ * `sendContactEmail()` era amarrado a `emailjs.send`. Este módulo separa
+ * "montar o lead" (js/email-config.js) de "entregar o lead", permitindo
+ * trocar o destino só com configuração (LEAD_TRANSPORT_CONFIG):
+ *
+ * | Transporte | Destino                                         | Uso                         |
+ * |------------|-------------------------------------------------|-----------------------------|
+ * | emailjs    | EmailJS (template com as variáveis do e-mail)   | Produção atual              |
+ * | webhook    | POST JSON para qualquer URL (backend próprio)   | Migração / teste offline    |
+ * | mock       | Nada sai do navegador; guarda em memória        | Desenvolvimento / QA        |
+ *
+ * CONTRATO:
+ * ---------
+ * Todo transporte implementa `send(lead, params, config)` e retorna
+ * Promise<{ status: number, text: string }> (mesmo formato da resposta do
+ * EmailJS, usado pelos callers em index.html e thank-you.html).
+ * - `lead`   → objeto estruturado (nome, email, ..., simulacao)
+ * - `params` → variáveis planas do template de e-mail
+ * Falhas sempre rejeitam com Error (os callers mostram mensagem e fazem retry).
+ *
+ * BACKEND DE REFERÊNCIA:
+ * ----------------------
+ * server/lead-receiver.js (Node, sem dependências) recebe o webhook em
+ * POST /api/leads e grava em JSON. Ver instruções no cabeçalho do arquivo.
+ */
+
+const LeadTransports = {
+    emailjs: {
+        send(lead, params, config) {
+            const { PUBLIC_KEY, SERVICE_ID, TEMPLATE_ID } = config.emailjs;
+            if (PUBLIC_KEY === 'YOUR_PUBLIC_KEY' || SERVICE_ID === 'YOUR_SERVICE_ID' || TEMPLATE_ID === 'YOUR_TEMPLATE_ID') {
+                const errorMsg = '⚠️ Configuração do EmailJS pendente! Substitua os placeholders em js/email-config.js pelas suas chaves reais.';
+                console.error(errorMsg);
+                return Promise.reject(new Error(errorMsg));
+            }
+            if (typeof emailjs === 'undefined') {
+                return Promise.reject(new Error('EmailJS SDK não carregado'));
+            }
+            return emailjs.send(SERVICE_ID, TEMPLATE_ID, params);
+        }
+    },
+
+    webhook: {
+        async send(lead, params, config) {
+            const { url, timeoutMs = 8000, headers = {} } = config.webhook;
+            if (!url) {
+                throw new Error('Configuração do webhook pendente: defina LEAD_TRANSPORT_CONFIG.webhook.url');
+            }
+
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+            try {
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', ...headers },
+                    body: JSON.stringify({
+                        lead,
+                        params,
+                        meta: { page: window.location.href, sentAt: new Date().toISOString() }
+                    }),
+                    signal: controller.signal
+                });
+                const text = await response.text();
+                if (!response.ok) {
+                    // `status` permite à fila (js/lead-outbox.js) separar recusa definitiva (4xx) de falha temporária
+                    throw Object.assign(new Error(`Webhook HTTP ${response.status}: ${text.slice(0, 200)}`), { status: response.status });
+                }
+                return { status: response.status, text };
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw new Error(`Webhook sem resposta após ${timeoutMs}ms`);
+                }
+                throw error;
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+    },
+
+    mock: {
+        sent: [], // Inspecionável no console: LeadTransports.mock.sent
+
+        send(lead, params, config) {
+            const { delayMs = 300, fail = false } = config.mock || {};
+            return new Promise((resolve, reject) => {
+                setTimeout(() => {
+                    if (fail) {
+                        reject(new Error('Mock transport: falha simulada'));
+                        return;
+                    }
+                    this.sent.push({ lead, params, sentAt: new Date().toISOString() });
+                    console.log('📭 [LeadTransport:mock] Lead recebido:', lead);
+                    resolve({ status: 200, text: 'OK (mock)' });
+                }, delayMs);
+            });
+        }
+    }
+};
+
+const LeadTransport = {
+    /**
+     * Nome do transporte ativo. Em localhost, `?lead_transport=mock|webhook|emailjs`
+     * sobrescreve a configuração (teste offline sem editar arquivos).
+     */
+    resolveName(config) {
+        const isLocal = ['localhost', '127.0.0.1'].includes(window.location.hostname);
+        const override = isLocal ? new URLSearchParams(window.location.search).get('lead_transport') : null;
+        return override && LeadTransports[override] ? override : config.transport;
+    },
+
+    /**
+     * Entrega o lead pelo transporte configurado
+     * @param {Object} lead - Dados estruturados do lead
+     * @param {Object} params - Variáveis planas do template
+     * @param {Object} config - LEAD_TRANSPORT_CONFIG (js/email-config.js)
+     * @returns {Promise<{status: number, text: string}>}
+     */
+    send(lead, params, config) {
+        const name = this.resolveName(config);
+        const transport = LeadTransports[name];
+        if (!transport) {
+            return Promise.reject(new Error(`Configuração inválida: transporte de lead "${name}" desconhecido`));
+        }
+        return transport.send(lead, params, config);
+    },
+
+    /**
+     * Registra um transporte adicional (ex.: CRM) sem alterar este arquivo
+     * @param {string} name
+     * @param {{send: Function}} transport
+     */
+    register(name, transport) {
+        if (!transport || typeof transport.send !== 'function') {
+            throw new Error(`Transporte "${name}" precisa implementar send(lead, params, config)`);
+        }
+        LeadTransports[name] = transport;
+    }
+};
+
+// Exportar para uso global
+window.LeadTransports = LeadTransports;
+window.LeadTransport = LeadTransport;
@@ -0,0 +1,273 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GLX PARTNERS - MOTOR DE CONVERSA DA LUNA (FLUXO DECLARATIVO)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * PROPÓSITO (WHY):
+ * -----------------
+ * A captação da Luna era um `switch` em LunaChatbot.handleFlow() com prompts e
+ * validações escritos no código: perguntar "número de leitos" ou separar o
+ * fluxo de hospital e clínica exigia deploy de JS. Agora a conversa é dado
+ * (`data/luna-flow.json`) e este motor só a interpreta.
+ *
+ * ESTADO (data/luna-flow.json → estados):
+ * ---------------------------------------
+ * | Chave       | Papel                                                      |
+ * |-------------|------------------------------------------------------------|
+ * | prompt      | HTML exibido ao entrar; {{campo}} / {{campo|primeiro}}     |
+ * | campo       | Onde a resposta válida é guardada (ctx.dados)              |
+ * | validador   | leadSchema (padrão) · texto · numero · opcao               |
+ * | efeitos     | Handlers chamados após a resposta válida (código da Luna)  |
+ * | acao        | Handler que encerra o estado e decide resposta/próximo     |
+ * | transicoes  | [{ se, proximo, efeitos, reprocessar }] — vale a primeira  |
+ * | rotulo      | Entra no resumo do perfil (perfilResumo do e-mail)         |
+ * | funil       | false tira o estado do funil `chatbot` (js/analytics.js)   |
+ *
+ * CONDIÇÕES (`se`, todas precisam combinar):
+ * ------------------------------------------
+ *   { campo, igual } · { campo, em: [...] } · { campo, existe: bool }
+ *   { entradaContem: [...] } (sem acentos) · { entradaRegex: "..." } (sem caixa)
+ * `campo` procura primeiro em ctx.vars (efeitos) e depois em ctx.dados (lead).
+ *
+ * TESTE DE CADA TRANSIÇÃO (tests/luna-flow.test.js → `node --test tests/`):
+ * ------------------------------------------------------------------------
+ * O motor não toca no DOM: uma transição é uma chamada isolada.
+ *   const engine = new LunaFlowEngine(definicao, { efeitos, acoes });
+ *   await engine.transition('EMAIL', 'ana@gmial.com', { dados: {}, vars: {} })
+ *   // → { estado: 'EMAIL_CONFIRM', resposta: 'Você quis dizer ...', valido: true }
+ * `LunaFlowEngine.check(definicao, handlers)` lista erros de edição no JSON
+ * (estado inexistente, validador desconhecido, efeito sem handler).
+ */
+
+const LunaValidators = {
+    // Regras compartilhadas do lead (js/lead-schema.js); campos fora do schema só passam pelo trim
+    leadSchema(entrada, estado) {
+        return LeadSchema.validateField(estado.campo, entrada);
+    },
+
+    texto(entrada, estado, engine) {
+        const value = String(entrada).trim().replace(/\s+/g, ' ');
+        const min = estado.min || 1;
+        const max = estado.max || 200;
+        if (value.length < min || value.length > max) {
+            return { valid: false, value, error: estado.erro || engine.message('textoInvalido', { min, max }) };
+        }
+        return { valid: true, value, error: null };
+    },
+
+    // "120 leitos", "1.200" → 120, 1200
+    numero(entrada, estado, engine) {
+        const match = String(entrada).replace(/(\d)\.(?=\d{3}\b)/g, '$1').match(/\d+/);
+        const value = match ? Number(match[0]) : NaN;
+        const min = estado.min !== undefined ? estado.min : 0;
+        const max = estado.max !== undefined ? estado.max : Number.MAX_SAFE_INTEGER;
+        if (!Number.isFinite(value) || value < min || value > max) {
+            return { valid: false, value, error: estado.erro || engine.message('numeroInvalido', { min, max }) };
+        }
+        return { valid: true, value, error: null };
+    },
+
+    // Aceita o número da opção, o valor, o texto ou um sinônimo
+    opcao(entrada, estado, engine) {
+        const text = LunaFlowEngine.fold(entrada);
+        const opcoes = estado.opcoes || [];
+        const byIndex = /^\d+$/.test(text) ? opcoes[Number(text) - 1] : null;
+        const option = byIndex || opcoes.find(item => [item.valor, item.texto, ...(item.sinonimos || [])]
+            .some(term => term !== undefined && (text === LunaFlowEngine.fold(term) || text.includes(LunaFlowEngine.fold(term)))));
+
+        if (!option) {
+            const lista = opcoes.map(item => item.texto).join(' / ');
+            return { valid: false, value: entrada, error: estado.erro || engine.message('opcaoInvalida', { opcoes: lista }) };
+        }
+        return { valid: true, value: option.valor, error: null };
+    }
+};
+
+class LunaFlowEngine {
+    /**
+     * @param {Object} definition - Conteúdo de data/luna-flow.json
+     * @param {{efeitos?: Object<string, Function>, acoes?: Object<string, Function>}} handlers
+     *        efeito(ctx, entrada) → void | Promise; acao(ctx, entrada) → Promise<{resposta, proximo?}>
+     */
+    constructor(definition, handlers = {}) {
+        this.definition = definition;
+        this.efeitos = handlers.efeitos || {};
+        this.acoes = handlers.acoes || {};
+    }
+
+    /**
+     * Carrega o fluxo
+     * @returns {Promise<Object|null>} null se o arquivo não carregar
+     */
+    static async load(url = 'data/luna-flow.json') {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return await response.json();
+        } catch (error) {
+            console.error('[LunaFlow] Erro ao carregar o fluxo:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Confere a definição antes de usar
+     * @returns {string[]} Problemas encontrados (vazio = fluxo válido)
+     */
+    static check(definition, handlers = {}) {
+        const problems = [];
+        const estados = (definition && definition.estados) || {};
+        const exists = (name) => name === 'IDLE' || Boolean(estados[name]);
+
+        if (!exists(definition && definition.inicio)) problems.push(`estado inicial "${definition && definition.inicio}" não existe`);
+
+        Object.entries(estados).forEach(([name, estado]) => {
+            const validador = estado.validador || 'leadSchema';
+            if (estado.campo && !LunaValidators[validador]) problems.push(`${name}: validador "${validador}" desconhecido`);
+            if (validador === 'opcao' && !(estado.opcoes || []).length) problems.push(`${name}: validador "opcao" sem "opcoes"`);
+            if (estado.acao && !(handlers.acoes || {})[estado.acao]) problems.push(`${name}: ação "${estado.acao}" sem handler`);
+            if (!estado.acao && !(estado.transicoes || []).length) problems.push(`${name}: sem "transicoes" nem "acao"`);
+
+            const efeitos = (estado.efeitos || []).concat(...(estado.transicoes || []).map(t => t.efeitos || []));
+            efeitos.forEach(efeito => {
+                if (!(handlers.efeitos || {})[efeito]) problems.push(`${name}: efeito "${efeito}" sem handler`);
+            });
+            (estado.transicoes || []).forEach(transicao => {
+                if (!exists(transicao.proximo)) problems.push(`${name}: transição para "${transicao.proximo}" que não existe`);
+            });
+        });
+
+        return problems;
+    }
+
+    static fold(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+    }
+
+    static escapeHTML(value) {
+        return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+    }
+
+    get inicio() {
+        return this.definition.inicio;
+    }
+
+    // Estados na ordem do JSON, menos os marcados com "funil": false
+    funnelSteps() {
+        return Object.keys(this.definition.estados).filter(name => this.definition.estados[name].funil !== false);
+    }
+
+    lookup(ctx, campo) {
+        if (ctx.vars && ctx.vars[campo] !== undefined && ctx.vars[campo] !== null) return ctx.vars[campo];
+        return ctx.dados ? ctx.dados[campo] : undefined;
+    }
+
+    // {{campo}} e {{campo|primeiro}}; valores são escapados, o HTML do template não
+    render(template, ctx, extra = {}) {
+        return String(template || '').replace(/\{\{\s*(\w+)(?:\|(\w+))?\s*\}\}/g, (match, campo, filtro) => {
+            let value = extra[campo] !== undefined ? extra[campo] : this.lookup(ctx, campo);
+            if (value === undefined || value === null) return '';
+            if (filtro === 'primeiro') value = String(value).split(' ')[0];
+            return LunaFlowEngine.escapeHTML(value);
+        });
+    }
+
+    message(key, extra = {}) {
+        const mensagens = this.definition.mensagens || {};
+        return this.render(mensagens[key] || mensagens.erroGeral || '', { dados: {}, vars: {} }, extra);
+    }
+
+    prompt(estado, ctx) {
+        const definition = this.definition.estados[estado];
+        return definition ? this.render(definition.prompt, ctx) : '';
+    }
+
+    matches(se, entrada, ctx) {
+        if (!se) return true;
+        if (se.entradaContem && !se.entradaContem.some(term => LunaFlowEngine.fold(entrada).includes(LunaFlowEngine.fold(term)))) return false;
+        if (se.entradaRegex && !new RegExp(se.entradaRegex, 'i').test(String(entrada).trim())) return false;
+        if (se.campo) {
+            const value = this.lookup(ctx, se.campo);
+            const present = value !== undefined && value !== null && value !== '';
+            if (se.existe !== undefined && present !== se.existe) return false;
+            if (se.igual !== undefined && LunaFlowEngine.fold(value) !== LunaFlowEngine.fold(se.igual)) return false;
+            if (se.em && !se.em.some(item => LunaFlowEngine.fold(item) === LunaFlowEngine.fold(value))) return false;
+        }
+        return true;
+    }
+
+    async runEffects(names = [], ctx, entrada) {
+        for (const name of names) {
+            await this.efeitos[name](ctx, entrada);
+        }
+    }
+
+    /**
+     * Processa a resposta do visitante no estado atual
+     * @param {string} estado - Estado atual
+     * @param {string} entrada - Mensagem do visitante
+     * @param {{dados: Object, vars: Object}} ctx - Lead em construção e variáveis dos efeitos (alterados aqui)
+     * @returns {Promise<{estado: string, resposta: string, valido: boolean}>}
+     */
+    async transition(estado, entrada, ctx, depth = 0) {
+        const definition = this.definition.estados[estado];
+        if (!definition || depth > 5) {
+            return { estado: 'IDLE', resposta: this.message('erroGeral'), valido: false };
+        }
+
+        if (definition.campo) {
+            const validator = LunaValidators[definition.validador || 'leadSchema'];
+            const result = validator(entrada, definition, this);
+            if (!result.valid) {
+                return { estado, resposta: LunaFlowEngine.escapeHTML(result.error), valido: false };
+            }
+            ctx.dados[definition.campo] = result.value;
+        }
+
+        await this.runEffects(definition.efeitos, ctx, entrada);
+
+        if (definition.acao) {
+            const result = await this.acoes[definition.acao](ctx, entrada);
+            return { estado: result.proximo || estado, resposta: result.resposta, valido: true };
+        }
+
+        const transicao = (definition.transicoes || []).find(item => this.matches(item.se, entrada, ctx));
+        if (!transicao) {
+            return { estado, resposta: this.message('erroGeral'), valido: false };
+        }
+
+        await this.runEffects(transicao.efeitos, ctx, entrada);
+        if (transicao.reprocessar) {
+            return this.transition(transicao.proximo, entrada, ctx, depth + 1);
+        }
+        return {
+            estado: transicao.proximo,
+            resposta: transicao.resposta ? this.render(transicao.resposta, ctx) : this.prompt(transicao.proximo, ctx),
+            valido: true
+        };
+    }
+
+    /**
+     * Respostas dos estados com `rotulo`, em texto legível para o e-mail
+     * @returns {string} Ex: "Tipo de operação: Hospital · Leitos: 120"
+     */
+    summary(dados) {
+        return Object.values(this.definition.estados)
+            .filter(estado => estado.rotulo && estado.campo && dados[estado.campo] !== undefined)
+            .map(estado => {
+                const option = (estado.opcoes || []).find(item => item.valor === dados[estado.campo]);
+                return `${estado.rotulo}: ${option ? option.texto : dados[estado.campo]}`;
+            })
+            .join(' · ');
+    }
+}
+
+// Exportar para uso global (navegador) e para os testes (node --test)
+if (typeof window !== 'undefined') {
+    window.LunaValidators = LunaValidators;
+    window.LunaFlowEngine = LunaFlowEngine;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LunaValidators, LunaFlowEngine };
+}
@@ -0,0 +1,216 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GLX PARTNERS - BASE DE CONHECIMENTO DA LUNA (BUSCA LOCAL BM25)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * PROPÓSITO (WHY):
+ * -----------------
+ * LunaChatbot.checkIntents() mandava quase toda mensagem para o cadastro por
+ * lista de palavras-chave, mesmo quando a resposta já estava na página
+ * ("em quanto tempo vejo resultados?" está no #faq). Este módulo indexa o
+ * conteúdo do próprio site e responde com o trecho mais relevante e o link
+ * para ele. Tudo roda no navegador, sem modelo nem chamada de rede.
+ *
+ * FONTES (LUNA_KNOWLEDGE_SOURCES, lidas do DOM na primeira busca):
+ * ----------------------------------------------------------------
+ * | Tipo    | Itens                     | Título             | Trecho          |
+ * |---------|---------------------------|--------------------|-----------------|
+ * | faq     | #faq details              | summary h3         | p (a resposta)  |
+ * | servico | #servicos .bento-card     | h3                 | p + itens da ul |
+ * | case    | #cases .grid > div        | h3 ou número (-18%)| p + legenda     |
+ * Conteúdo novo nessas seções entra no índice sem mudar código.
+ *
+ * RANKING:
+ * --------
+ * texto → sem acentos/minúsculas → stopwords → stemmer leve de português
+ * (plural, sufixos, vogal final) → BM25 (k1, b), com o título pesando mais.
+ * A resposta só sai com `score >= minScore` e cobertura (termos da pergunta
+ * encontrados no item) >= `minCobertura`; abaixo disso `answer()` devolve
+ * null e a Luna segue para o fluxo de captação.
+ */
+
+const LUNA_KNOWLEDGE_CONFIG = {
+    k1: 1.2,
+    b: 0.75,
+    pesoTitulo: 2,
+    minScore: 1.5,
+    minCobertura: 0.5,
+    tamanhoTrecho: 240
+};
+
+const LUNA_KNOWLEDGE_SOURCES = [
+    { tipo: 'faq', rotulo: 'Ver em Dúvidas Frequentes', itens: '#faq details', titulo: 'summary h3', texto: 'p' },
+    { tipo: 'servico', rotulo: 'Ver em Serviços', itens: '#servicos .bento-card', titulo: 'h3', texto: 'p, li' },
+    { tipo: 'case', rotulo: 'Ver em Estudos de Caso', itens: '#cases .grid > div', titulo: 'h3, .text-4xl', texto: 'p, .text-sm' }
+];
+
+const LUNA_STOPWORDS = new Set([
+    'a', 'o', 'as', 'os', 'um', 'uma', 'uns', 'umas', 'de', 'da', 'do', 'das', 'dos', 'em', 'no', 'na', 'nos', 'nas',
+    'ao', 'aos', 'e', 'ou', 'que', 'se', 'para', 'pra', 'por', 'pelo', 'pela', 'com', 'sem', 'como', 'qual', 'quais',
+    'quanto', 'quanta', 'quantos', 'quando', 'onde', 'porque', 'eu', 'me', 'meu', 'minha', 'meus', 'minhas', 'voce',
+    'voces', 'vcs', 'seu', 'sua', 'seus', 'suas', 'nosso', 'nossa', 'isso', 'isto', 'esse', 'essa', 'este', 'esta',
+    'ja', 'mais', 'muito', 'tem', 'ter', 'ser', 'sao', 'foi', 'vai', 'sobre', 'ate', 'entre', 'nao', 'sim', 'la', 'aqui',
+    'ola', 'oi', 'bom', 'boa', 'dia', 'tarde', 'noite', 'luna', 'glx', 'partners', 'gostaria', 'saber', 'queria', 'duvida'
+]);
+
+// Longest first: the first suffix that leaves a 3+ letter stem wins
+const LUNA_SUFFIXES = [
+    'amente', 'imento', 'amento', 'mente', 'mento', 'acao', 'cao', 'idade', 'ismo', 'ista',
+    'avel', 'ivel', 'ando', 'endo', 'indo', 'aram', 'eram', 'iram', 'avam', 'ado', 'ido', 'ada', 'ida',
+    'am', 'em', 'ar', 'er', 'ir'
+];
+
+class LunaKnowledge {
+    constructor(config = LUNA_KNOWLEDGE_CONFIG, sources = LUNA_KNOWLEDGE_SOURCES) {
+        this.config = config;
+        this.sources = sources;
+        this.docs = null;
+    }
+
+    // --- Texto ---
+
+    static fold(text) {
+        return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    /**
+     * Stemmer leve de português (sobre texto já sem acentos)
+     * @example LunaKnowledge.stem('resultados') → 'result'
+     */
+    static stem(word) {
+        if (word.length <= 3) return word;
+        let w = word;
+
+        // Plural
+        if (/(oes|aes)$/.test(w)) w = `${w.slice(0, -3)}ao`;
+        else if (w.endsWith('ns')) w = `${w.slice(0, -2)}m`;
+        else if (w.endsWith('ais')) w = `${w.slice(0, -3)}al`;
+        else if (w.endsWith('eis')) w = `${w.slice(0, -3)}el`;
+        else if (w.endsWith('ois')) w = `${w.slice(0, -3)}ol`;
+        else if (/(les|res|zes)$/.test(w)) w = w.slice(0, -2);
+        else if (w.endsWith('s') && !w.endsWith('ss')) w = w.slice(0, -1);
+
+        const suffix = LUNA_SUFFIXES.find(item => w.endsWith(item) && w.length - item.length >= 3);
+        if (suffix) w = w.slice(0, -suffix.length);
+
+        // Gênero / vogal temática
+        if (w.length > 3 && /[aeo]$/.test(w)) w = w.slice(0, -1);
+        return w;
+    }
+
+    static tokenize(text) {
+        return LunaKnowledge.fold(text)
+            .split(/[^a-z0-9]+/)
+            .filter(word => word.length > 1 && !LUNA_STOPWORDS.has(word))
+            .map(word => LunaKnowledge.stem(word));
+    }
+
+    static slug(text) {
+        return LunaKnowledge.fold(text).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+    }
+
+    // Texto visível sem os nomes dos ícones (material-symbols: "expand_more", "check_circle")
+    static textOf(element) {
+        if (!element) return '';
+        const copy = element.cloneNode(true);
+        copy.querySelectorAll('.material-symbols-rounded').forEach(icon => icon.remove());
+        return copy.textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    // --- Índice ---
+
+    /**
+     * Lê as fontes do DOM e monta o índice BM25
+     * @returns {Array<Object>} Documentos indexados
+     */
+    build() {
+        this.docs = [];
+        this.sources.forEach(source => {
+            document.querySelectorAll(source.itens).forEach(element => {
+                const titleEl = element.querySelector(source.titulo);
+                const titulo = LunaKnowledge.textOf(titleEl);
+                const partes = Array.from(element.querySelectorAll(source.texto))
+                    .filter(el => !titleEl || !titleEl.contains(el))
+                    .map(el => LunaKnowledge.textOf(el))
+                    .filter(Boolean);
+                if (!titulo && !partes.length) return;
+
+                // Link estável para o item (o mesmo depois de recarregar)
+                if (!element.id) element.id = `${source.tipo}-${LunaKnowledge.slug(titulo || partes[0])}`;
+
+                const tokens = [];
+                for (let i = 0; i < this.config.pesoTitulo; i++) tokens.push(...LunaKnowledge.tokenize(titulo));
+                tokens.push(...LunaKnowledge.tokenize(partes.join(' ')));
+
+                const tf = new Map();
+                tokens.forEach(token => tf.set(token, (tf.get(token) || 0) + 1));
+                this.docs.push({ tipo: source.tipo, rotulo: source.rotulo, id: element.id, titulo, trecho: partes.join(' · '), tf, length: tokens.length });
+            });
+        });
+
+        this.avgLength = this.docs.reduce((acc, doc) => acc + doc.length, 0) / (this.docs.length || 1);
+        this.df = new Map();
+        this.docs.forEach(doc => doc.tf.forEach((count, token) => this.df.set(token, (this.df.get(token) || 0) + 1)));
+        return this.docs;
+    }
+
+    idf(token) {
+        const n = this.docs.length;
+        const df = this.df.get(token) || 0;
+        return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+    }
+
+    /**
+     * Ranqueia os itens para a pergunta
+     * @param {string} query
+     * @returns {Array<{doc: Object, score: number, cobertura: number}>} Do mais ao menos relevante
+     */
+    search(query) {
+        if (!this.docs) this.build();
+        const terms = [...new Set(LunaKnowledge.tokenize(query))];
+        if (!terms.length || !this.docs.length) return [];
+
+        const { k1, b } = this.config;
+        return this.docs.map(doc => {
+            let score = 0;
+            let matched = 0;
+            terms.forEach(term => {
+                const tf = doc.tf.get(term);
+                if (!tf) return;
+                matched++;
+                score += this.idf(term) * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * doc.length / this.avgLength));
+            });
+            return { doc, score, cobertura: matched / terms.length };
+        })
+            .filter(result => result.score > 0)
+            .sort((x, y) => y.score - x.score);
+    }
+
+    /**
+     * Melhor resposta, se a confiança bastar
+     * @returns {{tipo: string, id: string, titulo: string, trecho: string, rotulo: string, score: number, cobertura: number}|null}
+     */
+    answer(query) {
+        const best = this.search(query)[0];
+        if (!best || best.score < this.config.minScore || best.cobertura < this.config.minCobertura) return null;
+
+        const { doc } = best;
+        const max = this.config.tamanhoTrecho;
+        const trecho = doc.trecho.length > max
+            ? `${doc.trecho.slice(0, doc.trecho.lastIndexOf(' ', max))}…`
+            : doc.trecho;
+        return { tipo: doc.tipo, id: doc.id, titulo: doc.titulo, trecho, rotulo: doc.rotulo, score: best.score, cobertura: best.cobertura };
+    }
+}
+
+// Links das respostas da Luna abrem o <details> do FAQ citado
+document.addEventListener('click', (event) => {
+    const link = event.target.closest && event.target.closest('a[data-luna-source]');
+    if (!link) return;
+    const target = document.getElementById(link.dataset.lunaSource);
+    if (target && target.tagName === 'DETAILS') target.open = true;
+});
+
+window.LUNA_KNOWLEDGE_CONFIG = LUNA_KNOWLEDGE_CONFIG;
+window.LUNA_KNOWLEDGE_SOURCES = LUNA_KNOWLEDGE_SOURCES;
+window.LunaKnowledge = LunaKnowledge;
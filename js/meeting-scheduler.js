@@ -0,0 +1,590 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GLX PARTNERS - AGENDAMENTO DE REUNIÃO (THANK-YOU)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * PROPÓSITO (WHY):
+ * -----------------
+ * O thank-you.html promete retorno "em até 2 horas", mas o lead não tinha como
+ * escolher um horário. Depois do envio, este componente mostra os horários
+ * livres, registra a escolha junto com o protocolo do lead e oferece o convite
+ * .ics para o visitante adicionar ao próprio calendário.
+ *
+ * DISPONIBILIDADE:
+ * ----------------
+ * `data/availability.json` (grade semanal, bloqueios, antecedência mínima) e,
+ * opcionalmente, um feed .ics (`feedIcs`) cujos eventos ocupam a agenda.
+ * Horários sempre no fuso configurado (Brasília), independente do visitante.
+ *
+ * BACKENDS (SCHEDULER_CONFIG.backend):
+ * ------------------------------------
+ * | Backend | Destino da escolha                                  | Uso                   |
+ * |---------|-----------------------------------------------------|-----------------------|
+ * | lead    | Mesmo pipeline do lead (js/lead-outbox.js), com o    | Produção              |
+ * |         | protocolo original, `agendamento` no payload e       |                       |
+ * |         | `tipo: 'agendamento'` (sem repontuar nem rotear)     |                       |
+ * | stub    | localStorage (`glx_meeting_stub`); nada sai do       | Desenvolvimento / QA  |
+ * |         | navegador, horários reservados somem da grade        |                       |
+ *
+ * Em localhost, `?scheduler_backend=stub` troca o backend sem editar arquivos.
+ *
+ * CONTRATO:
+ * ---------
+ * Todo backend implementa:
+ * - `busy(config)` → Promise<Array<{inicio: number, fim: number}>> (horários já ocupados, ms UTC)
+ * - `book(booking, config)` → Promise<{status: 'sent'|'queued'}>; rejeita com Error
+ *   se o horário não puder ser reservado (`error.permanent`: recusa que não depende do horário)
+ * `booking` = { protocolo, nome, email, cargo?, inicio, fim, descricao, antispam? }
+ * (`antispam` = prova do js/spam-guard.js, exigida pelo receptor com REQUIRE_POW=1)
+ */
+
+const SCHEDULER_CONFIG = {
+    backend: 'lead',
+    availabilityUrl: 'data/availability.json',
+    stub: {
+        storageKey: 'glx_meeting_stub',
+        delayMs: 300
+    }
+};
+
+const SchedulerBackends = {
+    lead: {
+        // A agenda interna do time não é exposta: só bloqueios e feedIcs filtram a grade
+        busy() {
+            return Promise.resolve([]);
+        },
+
+        async book(booking) {
+            const result = await window.leadOutbox.deliver({
+                // Não é um lead novo: js/email-config.js não pontua nem reroteia
+                tipo: 'agendamento',
+                nome: booking.nome,
+                email: booking.email,
+                cargo: booking.cargo || '',
+                desafio: 'Agendamento de reunião',
+                mensagem: `Reunião escolhida pelo lead: ${booking.descricao}.`,
+                subject: 'Agendamento de Reunião',
+                // Mesmo protocolo do lead original: o time junta os dois e-mails pelo assunto
+                protocolo: booking.protocolo,
+                agendamento: {
+                    inicio: new Date(booking.inicio).toISOString(),
+                    fim: new Date(booking.fim).toISOString(),
+                    descricao: booking.descricao
+                },
+                antispam: booking.antispam
+            });
+            if (result.status === 'failed') {
+                throw Object.assign(new Error('Agendamento recusado pelo serviço de leads'), { permanent: true });
+            }
+            return { status: result.status };
+        }
+    },
+
+    stub: {
+        read(config) {
+            try {
+                return JSON.parse(localStorage.getItem(config.stub.storageKey)) || [];
+            } catch (e) {
+                return [];
+            }
+        },
+
+        busy(config) {
+            return Promise.resolve(this.read(config).map(item => ({ inicio: item.inicio, fim: item.fim })));
+        },
+
+        book(booking, config) {
+            return new Promise((resolve, reject) => {
+                setTimeout(() => {
+                    const bookings = this.read(config);
+                    if (bookings.some(item => item.inicio < booking.fim && booking.inicio < item.fim)) {
+                        reject(new Error('Horário indisponível'));
+                        return;
+                    }
+                    const { antispam, ...dados } = booking;
+                    bookings.push({ ...dados, reservadoEm: new Date().toISOString() });
+                    try {
+                        localStorage.setItem(config.stub.storageKey, JSON.stringify(bookings));
+                    } catch (e) {
+                        console.error('Failed to save stub booking:', e);
+                    }
+                    console.log('📅 [MeetingScheduler:stub] Reunião reservada:', booking);
+                    resolve({ status: 'sent' });
+                }, config.stub.delayMs);
+            });
+        }
+    }
+};
+
+const WEEKDAYS = ['domingo', 'segunda', 'terca', 'quarta', 'quinta', 'sexta', 'sabado'];
+
+class MeetingScheduler {
+    constructor(containerId, options = {}) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) return;
+
+        this.config = options.config || SCHEDULER_CONFIG;
+        this.storageKey = options.storageKey || 'glx_meeting';
+        this.channel = options.channel || 'agendamento';
+
+        this.availability = null;
+        this.lead = null;
+        this.slots = [];
+        this.selectedDay = null;
+        this.selected = null;
+    }
+
+    /**
+     * Nome do backend ativo. Em localhost, `?scheduler_backend=lead|stub` sobrescreve a configuração.
+     */
+    resolveBackend() {
+        const isLocal = ['localhost', '127.0.0.1'].includes(window.location.hostname);
+        const override = isLocal ? new URLSearchParams(window.location.search).get('scheduler_backend') : null;
+        return override && SchedulerBackends[override] ? override : this.config.backend;
+    }
+
+    get backend() {
+        return SchedulerBackends[this.resolveBackend()];
+    }
+
+    /**
+     * Registra um backend adicional (ex.: API de agenda) sem alterar este arquivo
+     * @param {string} name
+     * @param {{busy: Function, book: Function}} backend
+     */
+    static registerBackend(name, backend) {
+        if (!backend || typeof backend.busy !== 'function' || typeof backend.book !== 'function') {
+            throw new Error(`Backend de agenda "${name}" precisa implementar busy(config) e book(booking, config)`);
+        }
+        SchedulerBackends[name] = backend;
+    }
+
+    /**
+     * Mostra o agendamento para um lead já enviado
+     * @param {{protocolo: string, nome: string, email: string, cargo?: string}} lead
+     */
+    async show(lead) {
+        if (!lead || !lead.protocolo || !lead.email) return;
+        this.lead = lead;
+
+        const booked = this.loadBooking();
+        if (booked && booked.protocolo === lead.protocolo) {
+            try {
+                this.availability = await this.loadAvailability();
+            } catch (error) {
+                this.availability = null;
+            }
+            this.renderConfirmation(booked);
+            return;
+        }
+
+        try {
+            this.availability = await this.loadAvailability();
+            const busy = (await this.backend.busy(this.config)).concat(this.availability.ocupados);
+            this.slots = MeetingScheduler.computeSlots(this.availability, busy, Date.now());
+        } catch (error) {
+            // Sem disponibilidade o thank-you segue só com o retorno por e-mail/WhatsApp
+            console.error('[MeetingScheduler] Erro ao carregar disponibilidade:', error);
+            return;
+        }
+        if (!this.slots.length) return;
+
+        if (window.spamGuard) window.spamGuard.start(this.channel);
+        this.selectedDay = this.slots[0].dia;
+        this.renderPicker();
+        this.container.classList.remove('hidden');
+    }
+
+    async loadAvailability() {
+        const response = await fetch(this.config.availabilityUrl);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const availability = await response.json();
+        availability.ocupados = [];
+
+        if (availability.feedIcs) {
+            try {
+                const feed = await fetch(availability.feedIcs);
+                if (!feed.ok) throw new Error(`HTTP ${feed.status}`);
+                availability.ocupados = MeetingScheduler.parseIcs(await feed.text(), availability.offsetUtc);
+            } catch (error) {
+                // Feed fora do ar não derruba a grade semanal
+                console.error('[MeetingScheduler] Erro ao ler feed .ics, usando apenas a grade:', error);
+            }
+        }
+        return availability;
+    }
+
+    // --- Horários ---
+
+    // "2026-10-20" + "09:00" no offset configurado → ms UTC
+    static toTimestamp(date, time, offset = '-03:00') {
+        return Date.parse(`${date}T${time}:00${offset}`);
+    }
+
+    // Data local (YYYY-MM-DD) do instante no offset configurado
+    static localDate(timestamp, offset = '-03:00') {
+        const [, sign, hours, minutes] = offset.match(/([+-])(\d{2}):(\d{2})/);
+        const offsetMs = (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes)) * 60000;
+        return new Date(timestamp + offsetMs).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Gera os horários livres a partir da grade semanal
+     * @param {Object} availability - Conteúdo de data/availability.json
+     * @param {Array<{inicio: number, fim: number}>} busy - Horários ocupados (backend + feed .ics)
+     * @param {number} now - Date.now()
+     * @returns {Array<{dia: string, inicio: number, fim: number}>}
+     */
+    static computeSlots(availability, busy, now) {
+        const offset = availability.offsetUtc || '-03:00';
+        const duration = (availability.duracaoMinutos || 30) * 60000;
+        const earliest = now + (availability.antecedenciaMinimaHoras || 0) * 3600000;
+        const blocked = availability.bloqueios || [];
+        const slots = [];
+        const days = new Set();
+
+        for (let i = 0; i < (availability.buscaMaximaDias || 21) && days.size < (availability.diasExibidos || 5); i++) {
+            const dia = MeetingScheduler.localDate(now + i * 86400000, offset);
+            if (blocked.some(item => item.data === dia)) continue;
+
+            const weekday = WEEKDAYS[new Date(`${dia}T12:00:00Z`).getUTCDay()];
+            (availability.grade[weekday] || []).forEach(time => {
+                const inicio = MeetingScheduler.toTimestamp(dia, time, offset);
+                const fim = inicio + duration;
+                if (inicio < earliest) return;
+
+                const overlaps = (item) => item.inicio < fim && inicio < item.fim;
+                const blockedRange = blocked.some(item => item.inicio && overlaps({ inicio: Date.parse(item.inicio), fim: Date.parse(item.fim) }));
+                if (blockedRange || busy.some(overlaps)) return;
+
+                slots.push({ dia, inicio, fim });
+                days.add(dia);
+            });
+        }
+        return slots;
+    }
+
+    /**
+     * Lê os eventos (VEVENT) de um feed .ics como horários ocupados
+     * @param {string} text - Conteúdo do .ics
+     * @param {string} offset - Offset usado para horários sem fuso (ex: "-03:00")
+     * @returns {Array<{inicio: number, fim: number}>}
+     */
+    static parseIcs(text, offset = '-03:00') {
+        const unfolded = String(text || '').replace(/\r?\n[ \t]/g, '');
+        const events = unfolded.split('BEGIN:VEVENT').slice(1).map(block => block.split('END:VEVENT')[0]);
+
+        const parseDate = (value) => {
+            const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+            if (!match) return NaN;
+            const [, y, mo, d, h = '00', mi = '00', s = '00', utc] = match;
+            return Date.parse(`${y}-${mo}-${d}T${h}:${mi}:${s}${utc ? 'Z' : offset}`);
+        };
+        const property = (block, name) => {
+            const match = block.match(new RegExp(`^${name}(?:;[^:\\r\\n]*)?:(.*)$`, 'm'));
+            return match ? match[1].trim() : '';
+        };
+
+        return events.reduce((busy, block) => {
+            if (property(block, 'STATUS') === 'CANCELLED' || property(block, 'TRANSP') === 'TRANSPARENT') return busy;
+
+            const start = property(block, 'DTSTART');
+            const inicio = parseDate(start);
+            if (Number.isNaN(inicio)) return busy;
+
+            // Evento de dia inteiro sem DTEND ocupa o dia todo
+            const allDay = /^\d{8}$/.test(start);
+            const end = parseDate(property(block, 'DTEND'));
+            const fim = Number.isNaN(end) ? inicio + (allDay ? 86400000 : 0) : end;
+            busy.push({ inicio, fim });
+            return busy;
+        }, []);
+    }
+
+    // --- Convite .ics ---
+
+    static icsDate(timestamp) {
+        return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    // Parâmetros (CN=) vão entre aspas; aspas não são permitidas dentro do valor
+    static icsParam(value) {
+        return `"${String(value || '').replace(/["\r\n]/g, '')}"`;
+    }
+
+    static icsEscape(value) {
+        return String(value || '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+    }
+
+    // RFC 5545: linhas com no máximo 75 octetos, continuação começa com espaço
+    static icsFold(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let size = 0;
+        for (const char of line) {
+            const bytes = encoder.encode(char).length;
+            if (size + bytes > (parts.length ? 74 : 75)) {
+                parts.push(current);
+                current = '';
+                size = 0;
+            }
+            current += char;
+            size += bytes;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    /**
+     * Gera o convite .ics da reunião
+     * @param {{protocolo: string, inicio: number, fim: number}} booking
+     * @param {Object} meeting - `reuniao` de data/availability.json
+     * @returns {string}
+     */
+    static buildIcs(booking, meeting = {}) {
+        const organizer = meeting.organizador || {};
+        const description = `${meeting.descricao || ''}\nProtocolo: ${booking.protocolo}`.trim();
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//GLX Partners//Agendamento//PT-BR',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            'BEGIN:VEVENT',
+            `UID:${booking.protocolo}-${MeetingScheduler.icsDate(booking.inicio)}@glxpartners.com`,
+            `DTSTAMP:${MeetingScheduler.icsDate(Date.now())}`,
+            `DTSTART:${MeetingScheduler.icsDate(booking.inicio)}`,
+            `DTEND:${MeetingScheduler.icsDate(booking.fim)}`,
+            `SUMMARY:${MeetingScheduler.icsEscape(meeting.titulo || 'Reunião GLX Partners')}`,
+            `DESCRIPTION:${MeetingScheduler.icsEscape(description)}`,
+            meeting.local ? `LOCATION:${MeetingScheduler.icsEscape(meeting.local)}` : null,
+            organizer.email ? `ORGANIZER;CN=${MeetingScheduler.icsParam(organizer.nome || organizer.email)}:mailto:${organizer.email}` : null,
+            'STATUS:CONFIRMED',
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            'DESCRIPTION:Reunião GLX Partners em 15 minutos',
+            'TRIGGER:-PT15M',
+            'END:VALARM',
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ];
+        return lines.filter(Boolean).map(line => MeetingScheduler.icsFold(line)).join('\r\n') + '\r\n';
+    }
+
+    // --- Formatação (sempre no fuso da agenda) ---
+
+    format(timestamp, options) {
+        const timeZone = (this.availability && this.availability.fusoHorario) || 'America/Sao_Paulo';
+        return new Intl.DateTimeFormat('pt-BR', { timeZone, ...options }).format(timestamp);
+    }
+
+    describe(slot) {
+        const day = this.format(slot.inicio, { weekday: 'long', day: '2-digit', month: '2-digit' });
+        const time = this.format(slot.inicio, { hour: '2-digit', minute: '2-digit' });
+        return `${day} às ${time} (horário de Brasília)`;
+    }
+
+    // --- Renderização ---
+
+    renderPicker() {
+        this.container.textContent = '';
+
+        const title = document.createElement('h4');
+        title.className = 'text-white font-bold text-base uppercase tracking-wider mb-1';
+        title.textContent = 'Prefere já marcar a conversa?';
+
+        const subtitle = document.createElement('p');
+        subtitle.className = 'text-slate-400 text-sm mb-4';
+        subtitle.textContent = 'Escolha um horário de 30 minutos com um consultor (horário de Brasília).';
+
+        const days = document.createElement('div');
+        days.className = 'flex flex-wrap gap-2 mb-4';
+        days.setAttribute('role', 'tablist');
+        [...new Set(this.slots.map(slot => slot.dia))].forEach(dia => {
+            const first = this.slots.find(slot => slot.dia === dia);
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.setAttribute('role', 'tab');
+            button.setAttribute('aria-selected', String(dia === this.selectedDay));
+            button.className = `px-4 py-2 rounded-xl text-sm font-bold border transition-all ${dia === this.selectedDay ? 'bg-primary border-primary text-white' : 'border-white/10 text-slate-300 hover:border-primary/50'}`;
+            button.textContent = this.format(first.inicio, { weekday: 'short', day: '2-digit', month: '2-digit' });
+            button.addEventListener('click', () => {
+                this.selectedDay = dia;
+                this.selected = null;
+                this.renderPicker();
+            });
+            days.appendChild(button);
+        });
+
+        const times = document.createElement('div');
+        times.className = 'grid grid-cols-3 sm:grid-cols-4 gap-2 mb-4';
+        this.slots.filter(slot => slot.dia === this.selectedDay).forEach(slot => {
+            const isSelected = this.selected && this.selected.inicio === slot.inicio;
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.setAttribute('aria-pressed', String(Boolean(isSelected)));
+            button.className = `py-2 rounded-xl text-sm font-bold border transition-all ${isSelected ? 'bg-primary border-primary text-white' : 'border-white/10 text-slate-300 hover:border-primary/50'}`;
+            button.textContent = this.format(slot.inicio, { hour: '2-digit', minute: '2-digit' });
+            button.addEventListener('click', () => {
+                this.selected = slot;
+                this.renderPicker();
+            });
+            times.appendChild(button);
+        });
+
+        this.confirmBtn = document.createElement('button');
+        this.confirmBtn.type = 'button';
+        this.confirmBtn.disabled = !this.selected;
+        this.confirmBtn.className = 'w-full bg-primary hover:bg-violet-600 text-white font-black py-3 rounded-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed';
+        this.confirmBtn.textContent = this.selected ? `Confirmar ${this.describe(this.selected)}` : 'Escolha um horário';
+        this.confirmBtn.addEventListener('click', () => this.confirm());
+
+        this.messageEl = document.createElement('p');
+        this.messageEl.className = 'text-sm font-bold text-red-400 mt-3 hidden';
+
+        this.container.append(title, subtitle, days, times, this.confirmBtn, this.messageEl);
+    }
+
+    renderConfirmation(booking) {
+        this.container.textContent = '';
+
+        const title = document.createElement('h4');
+        title.className = 'text-white font-bold text-base uppercase tracking-wider mb-1';
+        title.textContent = 'Reunião agendada';
+
+        const text = document.createElement('p');
+        text.className = 'text-slate-300 text-sm mb-4';
+        text.textContent = `${this.describe(booking)}. O link da videochamada chega no seu e-mail.`;
+
+        const download = document.createElement('button');
+        download.type = 'button';
+        download.className = 'inline-flex items-center gap-2 border border-white/10 hover:border-primary/50 text-white font-bold px-4 py-2 rounded-xl text-sm transition-all';
+        const icon = document.createElement('span');
+        icon.className = 'material-symbols-rounded text-base';
+        icon.textContent = 'event';
+        download.append(icon, 'Adicionar ao calendário (.ics)');
+        download.addEventListener('click', () => this.downloadIcs(booking));
+
+        this.container.append(title, text, download);
+        this.container.classList.remove('hidden');
+    }
+
+    showError(text) {
+        this.messageEl.textContent = text;
+        this.messageEl.classList.remove('hidden');
+    }
+
+    downloadIcs(booking) {
+        const ics = MeetingScheduler.buildIcs(booking, (this.availability && this.availability.reuniao) || {});
+        const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `glx-reuniao-${booking.protocolo}.ics`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        if (window.trackEvent) {
+            window.trackEvent('meeting_ics_downloaded', { protocolo: booking.protocolo });
+        }
+    }
+
+    // --- Reserva ---
+
+    async confirm() {
+        if (!this.selected || this.confirmBtn.disabled) return;
+        const slot = this.selected;
+
+        this.confirmBtn.disabled = true;
+        this.confirmBtn.textContent = 'Reservando...';
+        this.messageEl.classList.add('hidden');
+
+        // Anti-spam em camadas antes do envio (js/spam-guard.js)
+        let proof = null;
+        if (window.spamGuard) {
+            let verdict;
+            try {
+                verdict = await window.spamGuard.check(this.channel);
+            } catch (error) {
+                console.error('[MeetingScheduler] Falha no anti-spam:', error);
+                verdict = { allowed: false };
+            }
+            if (!verdict.allowed) {
+                this.renderPicker();
+                this.showError(SpamGuard.message(verdict) || 'Não foi possível reservar agora. Tente novamente.');
+                return;
+            }
+            proof = verdict.proof;
+        }
+
+        const booking = {
+            protocolo: this.lead.protocolo,
+            nome: this.lead.nome,
+            email: this.lead.email,
+            cargo: this.lead.cargo,
+            inicio: slot.inicio,
+            fim: slot.fim,
+            descricao: this.describe(slot),
+            antispam: proof
+        };
+
+        let result;
+        try {
+            result = await this.backend.book(booking, this.config);
+        } catch (error) {
+            console.error('[MeetingScheduler] Falha ao reservar horário:', error);
+            if (error.permanent) {
+                this.renderPicker();
+                this.showError('Não foi possível reservar agora. Tente novamente.');
+                return;
+            }
+            // Horário tomado por outra pessoa: recarrega a grade sem ele
+            const busy = await this.backend.busy(this.config).catch(() => []);
+            this.slots = MeetingScheduler.computeSlots(this.availability, busy.concat(this.availability.ocupados), Date.now());
+            this.selected = null;
+            if (!this.slots.some(item => item.dia === this.selectedDay) && this.slots.length) this.selectedDay = this.slots[0].dia;
+            this.renderPicker();
+            this.showError('Esse horário acabou de ser reservado. Escolha outro, por favor.');
+            return;
+        }
+
+        if (window.spamGuard) window.spamGuard.recordSend();
+        this.saveBooking({ protocolo: booking.protocolo, inicio: booking.inicio, fim: booking.fim });
+        this.renderConfirmation(booking);
+
+        if (window.trackEvent) {
+            window.trackEvent('meeting_booked', { backend: this.resolveBackend(), status: result.status });
+        }
+    }
+
+    // Reserva deste navegador: o thank-you recarregado mostra a confirmação em vez da grade
+    saveBooking(booking) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(booking));
+        } catch (e) {
+            console.error('Failed to save meeting booking:', e);
+        }
+    }
+
+    loadBooking() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (e) {
+            return null;
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('meetingScheduler')) {
+        window.meetingScheduler = new MeetingScheduler('meetingScheduler');
+    }
+});
+
+window.SCHEDULER_CONFIG = SCHEDULER_CONFIG;
+window.SchedulerBackends = SchedulerBackends;
+window.MeetingScheduler = MeetingScheduler;
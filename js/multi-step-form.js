@@ -0,0 +1,573 @@
+/**
+ * 🪜 MULTI-STEP FORM - FORMULÁRIO DE CONTATO EM ETAPAS
+ * Role: Contato → Perfil da operação → Desafio → Preferência de contato (#contactForm)
+ * Patterns: Data-driven (data/contact-form.json) | Validação por etapa via LeadSchema | Rascunho no localStorage
+ * Governance: Mesmo pipeline dos outros canais (spamGuard.check → leadOutbox.deliver → spamGuard.recordSend) | textContent para dados externos
+ *
+ * - Cada etapa é validada com js/lead-schema.js antes de avançar; `obrigatorio` e
+ *   `opcoes` do JSON valem por cima do schema (valores fora da lista são recusados).
+ * - As respostas ficam em `glx_contact_draft` a cada alteração: quem volta ao site
+ *   continua na etapa em que parou. O rascunho é apagado quando o lead é enviado
+ *   ou entra na fila offline.
+ * - Antes do redirect, protocolo + nome + e-mail + preferência de contato vão para
+ *   o sessionStorage (`glx_last_lead`): o thank-you.html mostra o resumo e abre o
+ *   agendamento (js/meeting-scheduler.js) para o mesmo protocolo.
+ * - Se o JSON não carregar, o formulário estático do index.html continua
+ *   funcionando como etapa única.
+ */
+
+class MultiStepForm {
+    constructor(formId, options = {}) {
+        this.form = document.getElementById(formId);
+        if (!this.form) return;
+
+        this.dataUrl = options.dataUrl || 'data/contact-form.json';
+        this.draftKey = options.draftKey || 'glx_contact_draft';
+        this.contextKey = options.contextKey || 'glx_last_lead';
+        this.draftMaxAgeMs = options.draftMaxAgeMs || 30 * 24 * 60 * 60 * 1000;
+        this.channel = options.channel || 'contact';
+
+        this.fieldsContainer = this.form.querySelector('[data-form-fields]');
+        this.submitBtn = this.form.querySelector('#submitBtn');
+        this.btnText = this.form.querySelector('#btnText');
+        this.btnSpinner = this.form.querySelector('#btnSpinner');
+        this.btnIcon = this.form.querySelector('#btnIcon');
+        this.message = this.form.querySelector('#formMessage');
+        this.submitLabel = this.btnText ? this.btnText.textContent : '';
+
+        this.steps = null;
+        this.current = 0;
+        this.submitting = false;
+        this.started = false;
+        this.lastField = null;
+
+        this.form.addEventListener('submit', (event) => this.handleSubmit(event));
+        this.trackEngagement();
+        this.init();
+    }
+
+    async init() {
+        let config;
+        try {
+            const response = await fetch(this.dataUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            config = await response.json();
+        } catch (error) {
+            // Sem configuração o formulário estático segue como etapa única
+            console.error('[MultiStepForm] Erro ao carregar etapas, mantendo formulário único:', error);
+            return;
+        }
+
+        if (!this.fieldsContainer || !Array.isArray(config.etapas) || !config.etapas.length) return;
+
+        this.steps = config.etapas;
+        this.version = config.versao || 1;
+        if (window.analytics) {
+            window.analytics.defineFunnel('formulario_contato', ['inicio', ...this.steps.map(step => step.id), 'enviado']);
+        }
+        this.render();
+
+        const draft = this.loadDraft();
+        if (draft) {
+            this.restore(draft);
+        } else {
+            this.goTo(0);
+        }
+    }
+
+    // --- Analytics (js/analytics.js) ---
+
+    // Início do formulário, último campo tocado e abandono ao sair da página
+    trackEngagement() {
+        this.form.addEventListener('focusin', (event) => {
+            if (!event.target.name || event.target.name === 'website') return;
+            this.lastField = event.target.name;
+            if (this.started) return;
+            this.started = true;
+            if (window.trackEvent) window.trackEvent('form_started', { formulario: this.channel });
+            if (window.analytics) window.analytics.funnel('formulario_contato', 'inicio');
+        });
+
+        window.addEventListener('pagehide', () => {
+            if (!this.started || this.submitting || !this.lastField || !window.trackEvent) return;
+            window.trackEvent('form_field_abandoned', {
+                formulario: this.channel,
+                campo: this.lastField,
+                etapa: this.steps ? this.steps[this.current].id : null
+            });
+        });
+    }
+
+    // --- Renderização ---
+
+    render() {
+        // Campos escondidos nas outras etapas não podem travar a validação nativa
+        this.form.noValidate = true;
+        this.fieldsContainer.textContent = '';
+
+        this.progress = this.createProgress();
+        this.notice = this.createDraftNotice();
+        this.fieldsContainer.append(this.progress.wrapper, this.notice);
+
+        this.stepEls = this.steps.map(step => {
+            const stepEl = document.createElement('div');
+            stepEl.className = 'space-y-5 hidden';
+            stepEl.dataset.step = step.id;
+
+            if (step.descricao) {
+                const description = document.createElement('p');
+                description.className = 'text-slate-500 text-sm';
+                description.textContent = step.descricao;
+                stepEl.appendChild(description);
+            }
+
+            // Campos com largura 'metade' consecutivos dividem a mesma linha
+            let row = null;
+            step.campos.forEach(campo => {
+                const fieldEl = this.createField(campo);
+                if (campo.largura === 'metade') {
+                    if (!row) {
+                        row = document.createElement('div');
+                        row.className = 'grid grid-cols-1 md:grid-cols-2 gap-5';
+                        stepEl.appendChild(row);
+                    }
+                    row.appendChild(fieldEl);
+                } else {
+                    row = null;
+                    stepEl.appendChild(fieldEl);
+                }
+            });
+
+            this.fieldsContainer.appendChild(stepEl);
+            return stepEl;
+        });
+
+        this.backBtn = document.createElement('button');
+        this.backBtn.type = 'button';
+        this.backBtn.className = 'px-6 py-4 rounded-xl font-bold text-slate-500 border border-slate-200 hover:text-slate-800 hover:border-slate-300 transition-all flex items-center gap-1';
+        const backIcon = document.createElement('span');
+        backIcon.className = 'material-symbols-rounded';
+        backIcon.textContent = 'arrow_back';
+        this.backBtn.append(backIcon, 'Voltar');
+        this.backBtn.addEventListener('click', () => this.goTo(this.current - 1));
+
+        const nav = document.createElement('div');
+        nav.className = 'flex gap-3';
+        this.submitBtn.insertAdjacentElement('beforebegin', nav);
+        nav.append(this.backBtn, this.submitBtn);
+
+        this.form.addEventListener('input', () => this.saveDraft());
+        this.form.addEventListener('change', () => this.saveDraft());
+    }
+
+    createProgress() {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'space-y-2';
+
+        const label = document.createElement('p');
+        label.className = 'text-xs font-bold text-slate-500 uppercase tracking-widest';
+        label.setAttribute('aria-live', 'polite');
+
+        const track = document.createElement('div');
+        track.className = 'flex gap-2';
+        track.setAttribute('role', 'progressbar');
+        track.setAttribute('aria-valuemin', '1');
+        track.setAttribute('aria-valuemax', String(this.steps.length));
+
+        const segments = this.steps.map(() => {
+            const segment = document.createElement('div');
+            segment.className = 'h-1.5 flex-1 rounded-full bg-slate-200 transition-all';
+            track.appendChild(segment);
+            return segment;
+        });
+
+        wrapper.append(label, track);
+        return { wrapper, label, track, segments };
+    }
+
+    createDraftNotice() {
+        const notice = document.createElement('div');
+        notice.className = 'hidden bg-violet-50 border border-violet-100 text-slate-600 text-sm rounded-xl px-4 py-3 flex items-center justify-between gap-3';
+
+        const text = document.createElement('span');
+        text.textContent = 'Bem-vindo de volta! Continuamos de onde você parou.';
+
+        const reset = document.createElement('button');
+        reset.type = 'button';
+        reset.className = 'font-bold text-primary underline whitespace-nowrap';
+        reset.textContent = 'Recomeçar';
+        reset.addEventListener('click', () => this.reset());
+
+        notice.append(text, reset);
+        return notice;
+    }
+
+    createField(campo) {
+        const inputClass = 'w-full bg-slate-50 border-slate-200 rounded-xl px-4 py-3 focus:ring-primary focus:border-primary transition-all';
+        const id = `contact-${campo.nome}`;
+
+        if (campo.tipo === 'radio') {
+            const fieldset = document.createElement('fieldset');
+            const legend = document.createElement('legend');
+            legend.className = 'block text-sm font-bold text-slate-700 mb-2';
+            legend.textContent = campo.label;
+
+            const options = document.createElement('div');
+            options.className = 'grid grid-cols-2 md:grid-cols-3 gap-3';
+            (campo.opcoes || []).forEach(opcao => {
+                const label = document.createElement('label');
+                label.className = 'flex items-center gap-2 bg-slate-50 border border-slate-200 rounded-xl px-4 py-3 cursor-pointer text-sm font-medium text-slate-700 has-[:checked]:border-primary has-[:checked]:bg-violet-50 transition-all';
+                const input = document.createElement('input');
+                input.type = 'radio';
+                input.name = campo.nome;
+                input.value = opcao.valor;
+                input.className = 'text-primary focus:ring-primary';
+                label.append(input, opcao.texto);
+                options.appendChild(label);
+            });
+
+            fieldset.append(legend, options);
+            return fieldset;
+        }
+
+        const wrapper = document.createElement('div');
+        const label = document.createElement('label');
+        label.className = 'block text-sm font-bold text-slate-700 mb-2';
+        label.htmlFor = id;
+        label.textContent = campo.label;
+
+        let input;
+        if (campo.tipo === 'select') {
+            input = document.createElement('select');
+            const empty = document.createElement('option');
+            empty.value = '';
+            empty.textContent = campo.placeholder || 'Selecione';
+            input.appendChild(empty);
+            (campo.opcoes || []).forEach(opcao => {
+                const option = document.createElement('option');
+                option.value = opcao.valor;
+                option.textContent = opcao.texto;
+                input.appendChild(option);
+            });
+        } else if (campo.tipo === 'textarea') {
+            input = document.createElement('textarea');
+            input.rows = 4;
+        } else {
+            input = document.createElement('input');
+            input.type = ['email', 'tel'].includes(campo.tipo) ? campo.tipo : 'text';
+        }
+
+        input.id = id;
+        input.name = campo.nome;
+        input.className = inputClass;
+        if (campo.placeholder && campo.tipo !== 'select') input.placeholder = campo.placeholder;
+        if (campo.autocomplete) input.autocomplete = campo.autocomplete;
+        if (campo.obrigatorio) input.setAttribute('aria-required', 'true');
+
+        wrapper.append(label, input);
+        if (campo.sugerirEmail && window.EmailQuality) EmailQuality.attachSuggestion(input);
+        return wrapper;
+    }
+
+    // --- Navegação ---
+
+    goTo(index) {
+        if (!this.steps) return;
+        this.current = Math.max(0, Math.min(index, this.steps.length - 1));
+        const step = this.steps[this.current];
+        const isLast = this.current === this.steps.length - 1;
+
+        this.stepEls.forEach((stepEl, i) => stepEl.classList.toggle('hidden', i !== this.current));
+        this.progress.label.textContent = `Etapa ${this.current + 1} de ${this.steps.length} · ${step.titulo}`;
+        this.progress.track.setAttribute('aria-valuenow', String(this.current + 1));
+        this.progress.segments.forEach((segment, i) => {
+            segment.classList.toggle('bg-primary', i <= this.current);
+            segment.classList.toggle('bg-slate-200', i > this.current);
+        });
+
+        this.backBtn.classList.toggle('hidden', this.current === 0);
+        if (!this.submitting) {
+            this.btnText.textContent = isLast ? this.submitLabel : 'Continuar';
+            this.btnIcon.textContent = isLast ? 'send' : 'arrow_forward';
+        }
+        this.message.classList.add('hidden');
+        this.saveDraft();
+    }
+
+    // --- Validação ---
+
+    fieldsOf(steps) {
+        return steps.reduce((fields, step) => fields.concat(step.campos), []);
+    }
+
+    /**
+     * Valida os campos informados: regras do schema + `obrigatorio`/`opcoes` do JSON
+     * @param {Array<Object>} campos - Campos de data/contact-form.json
+     * @returns {{valid: boolean, data: Object, errors: Object<string, string>}}
+     */
+    validateFields(campos) {
+        const validation = LeadSchema.validate(LeadSchema.fromForm(this.form), {
+            fields: campos.map(campo => campo.nome)
+        });
+
+        campos.forEach(campo => {
+            if (validation.errors[campo.nome]) return;
+            const value = validation.data[campo.nome];
+            const allowed = !campo.opcoes || !value || campo.opcoes.some(opcao => opcao.valor === value);
+            if ((campo.obrigatorio && !value) || !allowed) {
+                validation.errors[campo.nome] = LeadSchema.message('required', campo.nome);
+            }
+        });
+
+        validation.valid = Object.keys(validation.errors).length === 0;
+        return validation;
+    }
+
+    handleSubmit(event) {
+        event.preventDefault();
+        if (this.submitting) return;
+
+        // Sem configuração: formulário único, validação completa do schema
+        if (!this.steps) {
+            const validation = LeadSchema.validate(LeadSchema.fromForm(this.form));
+            LeadSchema.reportErrors(this.form, validation.errors, this.message);
+            if (validation.valid) this.submit(validation.data);
+            return;
+        }
+
+        const step = this.steps[this.current];
+        const stepValidation = this.validateFields(step.campos);
+        LeadSchema.reportErrors(this.form, stepValidation.errors, this.message);
+        if (!stepValidation.valid) return;
+
+        if (window.trackEvent) {
+            window.trackEvent('contact_step_completed', { etapa: step.id, indice: this.current + 1 });
+        }
+        if (window.analytics) window.analytics.funnel('formulario_contato', step.id);
+
+        if (this.current < this.steps.length - 1) {
+            this.goTo(this.current + 1);
+            return;
+        }
+
+        // Última etapa: revalida tudo (o rascunho pode ter vindo de outra versão do JSON)
+        const validation = this.validateFields(this.fieldsOf(this.steps));
+        if (!validation.valid) {
+            const firstInvalid = this.steps.findIndex(item => item.campos.some(campo => validation.errors[campo.nome]));
+            this.goTo(firstInvalid);
+            LeadSchema.reportErrors(this.form, validation.errors, this.message);
+            return;
+        }
+
+        this.submit({
+            ...LeadSchema.validate(LeadSchema.fromForm(this.form)).data,
+            ...validation.data,
+            perfilResumo: this.summarize(validation.data)
+        });
+    }
+
+    // "Tipo de operação: Hospital · Porte: Médio porte..." para o e-mail ({{perfil_resumo}}).
+    // Só entram campos cujo valor é um código (valor ≠ texto); o desafio já vai legível.
+    summarize(data) {
+        return this.fieldsOf(this.steps)
+            .filter(campo => data[campo.nome] && (campo.opcoes || []).some(opcao => opcao.valor !== opcao.texto))
+            .map(campo => `${campo.label}: ${this.optionText(campo.nome, data[campo.nome])}`)
+            .join(' · ');
+    }
+
+    optionText(name, value) {
+        if (!this.steps) return value;
+        const campo = this.fieldsOf(this.steps).find(item => item.nome === name);
+        const opcao = campo && (campo.opcoes || []).find(item => item.valor === value);
+        return opcao ? opcao.texto : value;
+    }
+
+    // --- Envio (mesmo pipeline da Luna e do thank-you) ---
+
+    setLoading(loading, text) {
+        this.submitBtn.disabled = loading;
+        this.btnText.textContent = text;
+        this.btnSpinner.classList.toggle('hidden', !loading);
+        this.btnIcon.classList.toggle('hidden', loading);
+    }
+
+    showMessage(text, tone) {
+        this.message.textContent = text;
+        this.message.classList.remove('hidden', 'text-red-500', 'text-amber-400');
+        this.message.classList.add(tone === 'warning' ? 'text-amber-400' : 'text-red-500', 'font-bold');
+    }
+
+    // Libera o botão e mostra o motivo (bloqueio do anti-spam, recusa do serviço ou exceção)
+    abortSubmit(text) {
+        this.submitting = false;
+        this.setLoading(false, this.submitLabel);
+        this.showMessage(text);
+    }
+
+    async submit(lead) {
+        const contactData = {
+            ...lead,
+            // Simulação da calculadora (entradas + resultados), se o visitante usou
+            simulacao: window.glxCalculator ? window.glxCalculator.getLeadSummary() : null
+        };
+
+        this.submitting = true;
+        this.setLoading(true, 'Enviando...');
+        this.message.classList.add('hidden');
+
+        // Anti-spam em camadas + envio; falhas de transporte entram na fila offline (js/lead-outbox.js)
+        let verdict;
+        let result;
+        try {
+            verdict = await window.spamGuard.check(this.channel, { form: this.form });
+            if (verdict.allowed) {
+                contactData.antispam = verdict.proof;
+                result = await window.leadOutbox.deliver(contactData);
+            }
+        } catch (error) {
+            // Proof-of-work ou fila lançaram: nada foi enviado, o visitante pode tentar de novo
+            console.error('[MultiStepForm] Erro ao enviar:', error);
+            this.abortSubmit('Não foi possível enviar agora. Tente novamente ou fale conosco pelo WhatsApp.');
+            return;
+        }
+
+        if (!verdict.allowed) {
+            if (verdict.silent) {
+                // Honeypot: o bot vê o fluxo normal de sucesso
+                window.location.href = 'thank-you.html';
+                return;
+            }
+            this.abortSubmit(SpamGuard.message(verdict) || 'Não foi possível enviar agora. Tente novamente ou fale conosco pelo WhatsApp.');
+            return;
+        }
+
+        if (result.status === 'failed') {
+            // Recusa definitiva (ex.: dados rejeitados pelo serviço): reenviar não adianta, o rascunho fica
+            this.abortSubmit(`Não conseguimos registrar sua solicitação (protocolo ${result.protocolo}). Revise os dados e tente de novo ou fale conosco pelo WhatsApp.`);
+            return;
+        }
+        // Só lead enviado ou na fila de reenvio conta no rate limit
+        window.spamGuard.recordSend();
+        this.clearDraft();
+        this.saveContext(contactData);
+
+        if (window.trackEvent) {
+            window.trackEvent('lead_submitted', { protocol: result.protocolo, source: 'contact_form', challenge: contactData.desafio });
+        }
+        if (window.analytics) window.analytics.funnel('formulario_contato', 'enviado');
+
+        if (result.status === 'sent') {
+            window.location.href = 'thank-you.html?protocolo=' + encodeURIComponent(result.protocolo);
+            return;
+        }
+        this.showMessage(`Não conseguimos enviar agora, mas sua solicitação (protocolo ${result.protocolo}) foi salva neste navegador e será reenviada automaticamente assim que possível.`, 'warning');
+        this.btnSpinner.classList.add('hidden');
+        this.btnIcon.classList.remove('hidden');
+        this.btnText.textContent = 'Solicitação salva';
+    }
+
+    // Contexto do lead para o thank-you.html (resumo + agendamento); só vive nesta aba
+    saveContext(lead) {
+        try {
+            sessionStorage.setItem(this.contextKey, JSON.stringify({
+                protocolo: lead.protocolo,
+                nome: lead.nome,
+                email: lead.email,
+                cargo: lead.cargo,
+                preferenciaContato: lead.preferenciaContato ? this.optionText('preferenciaContato', lead.preferenciaContato) : '',
+                periodoContato: lead.periodoContato ? this.optionText('periodoContato', lead.periodoContato) : ''
+            }));
+        } catch (e) {
+            console.error('Failed to save lead context:', e);
+        }
+    }
+
+    // --- Rascunho ---
+
+    readAnswers() {
+        const answers = {};
+        this.fieldsOf(this.steps).forEach(campo => {
+            const input = this.form.elements[campo.nome];
+            if (input && input.value) answers[campo.nome] = input.value;
+        });
+        return answers;
+    }
+
+    saveDraft() {
+        if (!this.steps || this.submitting) return;
+        const respostas = this.readAnswers();
+        if (!Object.keys(respostas).length && this.current === 0) {
+            this.clearDraft();
+            return;
+        }
+        try {
+            localStorage.setItem(this.draftKey, JSON.stringify({
+                versao: this.version,
+                etapa: this.steps[this.current].id,
+                respostas,
+                atualizadoEm: Date.now()
+            }));
+        } catch (e) {
+            console.error('Failed to save contact draft:', e);
+        }
+    }
+
+    loadDraft() {
+        try {
+            const draft = JSON.parse(localStorage.getItem(this.draftKey));
+            if (!draft || !draft.respostas) return null;
+            if (Date.now() - (draft.atualizadoEm || 0) > this.draftMaxAgeMs) {
+                this.clearDraft();
+                return null;
+            }
+            return draft;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    clearDraft() {
+        try {
+            localStorage.removeItem(this.draftKey);
+        } catch (e) {
+            console.error('Failed to clear contact draft:', e);
+        }
+    }
+
+    restore(draft) {
+        this.fieldsOf(this.steps).forEach(campo => {
+            const input = this.form.elements[campo.nome];
+            const value = draft.respostas[campo.nome];
+            if (input && typeof value === 'string') input.value = value;
+        });
+
+        // Etapa removida do JSON desde a última visita: volta para o início
+        const index = this.steps.findIndex(step => step.id === draft.etapa);
+        this.goTo(index < 0 ? 0 : index);
+        this.notice.classList.remove('hidden');
+
+        if (window.trackEvent) {
+            window.trackEvent('contact_draft_restored', { etapa: this.steps[this.current].id });
+        }
+    }
+
+    reset() {
+        this.clearDraft();
+        this.form.reset();
+        LeadSchema.reportErrors(this.form, {}, this.message);
+        this.notice.classList.add('hidden');
+        this.goTo(0);
+        const first = this.stepEls[0].querySelector('input, select, textarea');
+        if (first) first.focus();
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('contactForm')) {
+        window.multiStepForm = new MultiStepForm('contactForm');
+    }
+});
+
+window.MultiStepForm = MultiStepForm;
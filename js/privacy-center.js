@@ -0,0 +1,558 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GLX PARTNERS - CENTRAL DE PRIVACIDADE (DIREITOS DO TITULAR, LGPD ART. 18)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * PROPÓSITO (WHY):
+ * -----------------
+ * Nome, e-mail e cargo dos leads ficam no navegador (fila de reenvio, rascunho
+ * do formulário, contexto do thank-you) sem prazo e sem o visitante conseguir
+ * ver ou apagar. Este módulo dá ao titular acesso, portabilidade e eliminação
+ * do que o site gravou, e aplica prazos de retenção em cada carregamento.
+ *
+ * CATÁLOGO (PRIVACY_STORAGE):
+ * ---------------------------
+ * Toda chave que o site grava está listada abaixo com finalidade e prazo.
+ * Módulo novo que grava no storage deve entrar aqui. Chaves com o prefixo
+ * `glx_` fora do catálogo também aparecem (como "Outros dados deste site") e
+ * recebem o prazo padrão, para nada ficar sem dono.
+ *
+ * RETENÇÃO (rodada já no <head>, antes dos módulos lerem o storage):
+ * ------------------------------------------------------------------
+ * | datadoPor          | Como o prazo é contado                              |
+ * |--------------------|-----------------------------------------------------|
+ * | { itens: 'campo' } | Lista: remove cada item cuja data passou do prazo   |
+ * | { campo: 'campo' } | Objeto: remove a chave quando a data passa do prazo |
+ * | (ausente)          | Última alteração vista (glx_storage_meta)           |
+ * A data pode estar salva como timestamp (Date.now()) ou texto ISO.
+ * sessionStorage já some ao fechar a aba e não tem prazo próprio.
+ *
+ * ACESSO:
+ * -------
+ * Qualquer elemento com [data-privacy-open] (rodapé) abre a central: ver,
+ * exportar JSON e apagar item a item ou tudo (inclui cookies _ga).
+ */
+
+const PRIVACY_CONFIG = {
+    prefixo: 'glx_',
+    metaKey: 'glx_storage_meta',
+    retencaoPadraoDias: 180
+};
+
+const PRIVACY_STORAGE = [
+    {
+        chave: 'glx_lead_outbox',
+        armazenamento: 'localStorage',
+        titulo: 'Pedidos de contato aguardando reenvio',
+        descricao: 'Cópia dos leads que não puderam ser enviados (sem conexão, serviço fora do ar) para reenvio automático. Leads recusados pelo serviço ficam guardados sem reenvio até o prazo acabar.',
+        dadosPessoais: true,
+        retencaoDias: 30,
+        datadoPor: { itens: 'createdAt' }
+    },
+    {
+        chave: 'glx_lead_outbox_sent',
+        armazenamento: 'localStorage',
+        titulo: 'Identificadores de envios concluídos',
+        descricao: 'Códigos aleatórios dos leads já entregues, para o mesmo pedido não ser enviado duas vezes.',
+        dadosPessoais: false,
+        retencaoDias: 90
+    },
+    {
+        chave: 'glx_lead_outbox_lock',
+        armazenamento: 'localStorage',
+        titulo: 'Trava da fila de reenvio',
+        descricao: 'Horário da última tentativa de reenvio, para duas abas não enviarem o mesmo pedido.',
+        dadosPessoais: false,
+        retencaoDias: 1
+    },
+    {
+        chave: 'glx_lead_backup',
+        armazenamento: 'localStorage',
+        titulo: 'Backup antigo da Luna',
+        descricao: 'Formato antigo de backup de leads; é movido para a fila de reenvio na visita seguinte.',
+        dadosPessoais: true,
+        retencaoDias: 30
+    },
+    {
+        chave: 'glx_contact_draft',
+        armazenamento: 'localStorage',
+        titulo: 'Rascunho do formulário de contato',
+        descricao: 'Respostas do formulário em etapas, para você continuar de onde parou.',
+        dadosPessoais: true,
+        retencaoDias: 30,
+        datadoPor: { campo: 'atualizadoEm' }
+    },
+    {
+        chave: 'glx_last_lead',
+        armazenamento: 'sessionStorage',
+        titulo: 'Resumo do último contato',
+        descricao: 'Protocolo, nome, e-mail e preferência de contato exibidos na página de agradecimento.',
+        dadosPessoais: true
+    },
+    {
+        chave: 'glx_luna_session',
+        armazenamento: 'localStorage',
+        titulo: 'Conversa com a Luna',
+        descricao: 'Mensagens trocadas com a assistente e as respostas do cadastro, para você retomar a conversa depois de recarregar a página. Apagada quando o cadastro é enviado.',
+        dadosPessoais: true,
+        retencaoDias: 1,
+        datadoPor: { campo: 'atualizadoEm' }
+    },
+    {
+        chave: 'glx_meeting',
+        armazenamento: 'localStorage',
+        titulo: 'Reunião agendada',
+        descricao: 'Protocolo e horário da reunião escolhida, para a página de agradecimento mostrar a confirmação.',
+        dadosPessoais: false,
+        retencaoDias: 30,
+        datadoPor: { campo: 'inicio' }
+    },
+    {
+        chave: 'glx_meeting_stub',
+        armazenamento: 'localStorage',
+        titulo: 'Agenda de testes',
+        descricao: 'Reservas simuladas do modo de desenvolvimento do agendamento.',
+        dadosPessoais: true,
+        retencaoDias: 30
+    },
+    {
+        chave: 'glx_calc_scenarios',
+        armazenamento: 'localStorage',
+        titulo: 'Cenários da calculadora',
+        descricao: 'Valores e nomes dos cenários simulados na calculadora de ROI.',
+        dadosPessoais: false,
+        retencaoDias: 180
+    },
+    {
+        chave: 'glx_radar_assessment',
+        armazenamento: 'localStorage',
+        titulo: 'Autoavaliação de maturidade',
+        descricao: 'Respostas do questionário do radar.',
+        dadosPessoais: false,
+        retencaoDias: 180
+    },
+    {
+        chave: 'glx_spam_rate',
+        armazenamento: 'localStorage',
+        titulo: 'Controle anti-spam',
+        descricao: 'Horários das últimas tentativas de envio, para limitar envios repetidos.',
+        dadosPessoais: false,
+        retencaoDias: 1
+    },
+    {
+        chave: 'glx_consent',
+        armazenamento: 'localStorage',
+        titulo: 'Escolha de cookies',
+        descricao: 'Categorias que você aceitou (análise, marketing) e quando.',
+        dadosPessoais: false,
+        retencaoDias: 365,
+        datadoPor: { campo: 'atualizadoEm' }
+    },
+    {
+        chave: 'glx_storage_meta',
+        armazenamento: 'localStorage',
+        titulo: 'Controle de retenção',
+        descricao: 'Quando cada item acima mudou pela última vez, para aplicar os prazos de exclusão.',
+        dadosPessoais: false
+    }
+];
+
+class PrivacyCenter {
+    constructor(config = PRIVACY_CONFIG, catalog = PRIVACY_STORAGE) {
+        this.config = config;
+        this.catalog = catalog;
+        this.panel = null;
+    }
+
+    init() {
+        document.addEventListener('click', (event) => {
+            const trigger = event.target.closest && event.target.closest('[data-privacy-open]');
+            if (!trigger) return;
+            event.preventDefault();
+            this.open();
+        });
+    }
+
+    // --- Storage ---
+
+    static storage(armazenamento) {
+        try {
+            return window[armazenamento];
+        } catch (e) {
+            return null; // Storage bloqueado (modo privado antigo, cookies desligados)
+        }
+    }
+
+    /**
+     * Entradas do catálogo + chaves `glx_` desconhecidas presentes no navegador
+     * @returns {Array<Object>} Definições com `bruto` (string salva) preenchido
+     */
+    entries() {
+        const known = new Set();
+        const result = [];
+
+        this.catalog.forEach(definition => {
+            known.add(`${definition.armazenamento}:${definition.chave}`);
+            const storage = PrivacyCenter.storage(definition.armazenamento);
+            const bruto = storage ? storage.getItem(definition.chave) : null;
+            if (bruto !== null) result.push({ ...definition, bruto });
+        });
+
+        ['localStorage', 'sessionStorage'].forEach(armazenamento => {
+            const storage = PrivacyCenter.storage(armazenamento);
+            if (!storage) return;
+            for (let i = 0; i < storage.length; i++) {
+                const chave = storage.key(i);
+                if (!chave.startsWith(this.config.prefixo) || known.has(`${armazenamento}:${chave}`)) continue;
+                result.push({
+                    chave,
+                    armazenamento,
+                    titulo: 'Outros dados deste site',
+                    descricao: `Chave "${chave}" gravada por uma parte do site sem descrição cadastrada.`,
+                    dadosPessoais: true,
+                    retencaoDias: armazenamento === 'localStorage' ? this.config.retencaoPadraoDias : undefined,
+                    bruto: storage.getItem(chave)
+                });
+            }
+        });
+
+        return result;
+    }
+
+    static parse(bruto) {
+        try {
+            return JSON.parse(bruto);
+        } catch (e) {
+            return bruto;
+        }
+    }
+
+    // Datas salvas como timestamp (Date.now()) ou texto ISO → ms; inválidas viram NaN (expiram)
+    static timestamp(value) {
+        return typeof value === 'number' ? value : Date.parse(value);
+    }
+
+    // Hash curto (djb2) só para detectar alteração de valor, não é segurança
+    static fingerprint(bruto) {
+        let hash = 5381;
+        for (let i = 0; i < bruto.length; i++) {
+            hash = ((hash << 5) + hash + bruto.charCodeAt(i)) | 0;
+        }
+        return `${bruto.length}:${hash >>> 0}`;
+    }
+
+    /**
+     * Aplica os prazos de retenção de todas as chaves
+     * @param {number} now - Timestamp de referência (testes)
+     * @returns {string[]} Chaves alteradas ou removidas
+     */
+    enforceRetention(now = Date.now()) {
+        const storage = PrivacyCenter.storage('localStorage');
+        if (!storage) return [];
+
+        const meta = this.readMeta();
+        const changed = [];
+
+        this.entries().forEach(entry => {
+            if (entry.armazenamento !== 'localStorage' || entry.chave === this.config.metaKey || !entry.retencaoDias) return;
+            const maxAgeMs = entry.retencaoDias * 24 * 60 * 60 * 1000;
+            const value = PrivacyCenter.parse(entry.bruto);
+            const expired = (date) => !(now - PrivacyCenter.timestamp(date) < maxAgeMs);
+
+            try {
+                if (entry.datadoPor && entry.datadoPor.itens && Array.isArray(value)) {
+                    const kept = value.filter(item => !expired(item[entry.datadoPor.itens]));
+                    if (kept.length === value.length) return;
+                    if (kept.length) {
+                        storage.setItem(entry.chave, JSON.stringify(kept));
+                    } else {
+                        storage.removeItem(entry.chave);
+                    }
+                    changed.push(entry.chave);
+                } else if (entry.datadoPor && entry.datadoPor.campo && value && typeof value === 'object') {
+                    if (!expired(value[entry.datadoPor.campo])) return;
+                    storage.removeItem(entry.chave);
+                    changed.push(entry.chave);
+                } else {
+                    // Sem data no próprio valor: conta a partir da última alteração vista
+                    const fingerprint = PrivacyCenter.fingerprint(entry.bruto);
+                    const seen = meta[entry.chave];
+                    if (!seen || seen.hash !== fingerprint) {
+                        meta[entry.chave] = { hash: fingerprint, vistoEm: new Date(now).toISOString() };
+                        return;
+                    }
+                    if (!expired(seen.vistoEm)) return;
+                    storage.removeItem(entry.chave);
+                    delete meta[entry.chave];
+                    changed.push(entry.chave);
+                }
+            } catch (e) {
+                console.error(`[PrivacyCenter] Falha ao aplicar retenção em ${entry.chave}:`, e);
+            }
+        });
+
+        // Chaves que sumiram (apagadas pelo próprio módulo) saem do controle
+        Object.keys(meta).forEach(chave => {
+            if (storage.getItem(chave) === null) delete meta[chave];
+        });
+        this.writeMeta(meta);
+
+        if (changed.length) console.info('[PrivacyCenter] Dados expirados removidos:', changed);
+        return changed;
+    }
+
+    readMeta() {
+        try {
+            return JSON.parse(localStorage.getItem(this.config.metaKey)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    writeMeta(meta) {
+        try {
+            if (Object.keys(meta).length) {
+                localStorage.setItem(this.config.metaKey, JSON.stringify(meta));
+            } else {
+                localStorage.removeItem(this.config.metaKey);
+            }
+        } catch (e) {
+            console.error('Failed to save storage retention metadata:', e);
+        }
+    }
+
+    static analyticsCookies() {
+        return document.cookie.split(';').map(cookie => cookie.split('=')[0].trim()).filter(name => /^_ga/.test(name));
+    }
+
+    // --- Direitos do titular ---
+
+    /**
+     * Tudo o que o site guardou neste navegador, em formato portável
+     * @returns {Object}
+     */
+    export() {
+        return {
+            geradoEm: new Date().toISOString(),
+            site: window.location.origin,
+            itens: this.entries().map(entry => ({
+                chave: entry.chave,
+                armazenamento: entry.armazenamento,
+                titulo: entry.titulo,
+                finalidade: entry.descricao,
+                dadosPessoais: entry.dadosPessoais,
+                retencaoDias: entry.retencaoDias || null,
+                valor: PrivacyCenter.parse(entry.bruto)
+            })),
+            cookies: PrivacyCenter.analyticsCookies()
+        };
+    }
+
+    download() {
+        const blob = new Blob([JSON.stringify(this.export(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `glx-meus-dados-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    remove(chave, armazenamento) {
+        const storage = PrivacyCenter.storage(armazenamento);
+        if (!storage) return;
+        storage.removeItem(chave);
+        const meta = this.readMeta();
+        if (meta[chave]) {
+            delete meta[chave];
+            this.writeMeta(meta);
+        }
+    }
+
+    removeAll() {
+        this.entries().forEach(entry => {
+            const storage = PrivacyCenter.storage(entry.armazenamento);
+            if (storage) storage.removeItem(entry.chave);
+        });
+        if (window.consentManager) window.consentManager.clearAnalyticsCookies();
+    }
+
+    // --- UI ---
+
+    static retentionLabel(entry) {
+        if (entry.armazenamento === 'sessionStorage') return 'Apagado ao fechar a aba';
+        if (!entry.retencaoDias) return 'Enquanto houver outros dados salvos';
+        return `Apagado automaticamente após ${entry.retencaoDias} ${entry.retencaoDias === 1 ? 'dia' : 'dias'}`;
+    }
+
+    createButton(text, variant, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        const variants = {
+            primary: 'bg-primary hover:bg-violet-600 text-white',
+            secondary: 'border border-white/20 hover:border-white/40 text-white',
+            danger: 'border border-red-400/40 hover:bg-red-500/10 text-red-300'
+        };
+        button.className = `${variants[variant]} font-bold text-sm px-4 py-3 rounded-xl transition-all`;
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    open() {
+        this.close();
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'fixed inset-0 z-[70] bg-black/60 flex items-center justify-center p-4 print:hidden';
+        this.panel.addEventListener('click', (event) => {
+            if (event.target === this.panel) this.close();
+        });
+
+        const dialog = document.createElement('div');
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-label', 'Central de privacidade');
+        dialog.className = 'bg-slate-900 text-slate-300 border border-white/10 rounded-2xl shadow-2xl p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto';
+
+        const title = document.createElement('h2');
+        title.className = 'text-white font-bold text-lg mb-2';
+        title.textContent = 'Seus dados neste navegador';
+
+        const intro = document.createElement('p');
+        intro.className = 'text-sm leading-relaxed mb-4';
+        intro.textContent = 'Tudo o que o site da GLX Partners guardou no seu navegador. Você pode baixar uma cópia em JSON ou apagar. Pedidos de contato já enviados ficam com a nossa equipe: para acessá-los ou excluí-los, escreva para contato@glxpartners.com.';
+
+        this.status = document.createElement('p');
+        this.status.setAttribute('role', 'status');
+        this.status.className = 'text-sm text-emerald-300 mb-4 hidden';
+
+        this.list = document.createElement('div');
+        this.renderList();
+
+        const actions = document.createElement('div');
+        actions.className = 'flex flex-col sm:flex-row flex-wrap gap-2 mt-6';
+        actions.append(
+            this.createButton('Baixar meus dados (JSON)', 'primary', () => this.download()),
+            this.createButton('Apagar tudo', 'danger', () => this.confirmRemoveAll()),
+            this.createButton('Preferências de cookies', 'secondary', () => {
+                this.close();
+                if (window.consentManager) window.consentManager.openPreferences();
+            }),
+            this.createButton('Fechar', 'secondary', () => this.close())
+        );
+
+        dialog.append(title, intro, this.status, this.list, actions);
+        this.panel.appendChild(dialog);
+        document.body.appendChild(this.panel);
+        title.setAttribute('tabindex', '-1');
+        title.focus();
+    }
+
+    close() {
+        if (!this.panel) return;
+        this.panel.remove();
+        this.panel = null;
+    }
+
+    renderList() {
+        this.list.replaceChildren();
+        const entries = this.entries();
+        const cookies = PrivacyCenter.analyticsCookies();
+
+        if (!entries.length && !cookies.length) {
+            const empty = document.createElement('p');
+            empty.className = 'text-sm text-slate-400 border-t border-white/10 py-4';
+            empty.textContent = 'Nenhum dado salvo neste navegador.';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        entries.forEach(entry => {
+            const item = document.createElement('details');
+            item.className = 'border-t border-white/10 py-4';
+
+            const summary = document.createElement('summary');
+            summary.className = 'cursor-pointer flex flex-wrap items-center gap-2';
+            const name = document.createElement('span');
+            name.className = 'text-white font-bold text-sm';
+            name.textContent = entry.titulo;
+            summary.appendChild(name);
+            if (entry.dadosPessoais) {
+                const badge = document.createElement('span');
+                badge.className = 'text-[10px] uppercase tracking-widest font-bold text-amber-300 bg-amber-500/10 px-2 py-0.5 rounded-full';
+                badge.textContent = 'Dados pessoais';
+                summary.appendChild(badge);
+            }
+
+            const description = document.createElement('p');
+            description.className = 'text-xs leading-relaxed mt-2';
+            description.textContent = entry.descricao;
+
+            const meta = document.createElement('p');
+            meta.className = 'text-xs text-slate-500 mt-1';
+            meta.textContent = `${PrivacyCenter.retentionLabel(entry)} · ${entry.armazenamento} · ${entry.chave}`;
+
+            const value = document.createElement('pre');
+            value.className = 'text-xs bg-black/40 rounded-lg p-3 mt-3 overflow-x-auto whitespace-pre-wrap break-all';
+            value.textContent = JSON.stringify(PrivacyCenter.parse(entry.bruto), null, 2);
+
+            const remove = this.createButton('Apagar este item', 'danger', () => {
+                this.remove(entry.chave, entry.armazenamento);
+                this.renderList();
+                this.showStatus(`"${entry.titulo}" apagado.`);
+            });
+            remove.classList.add('mt-3');
+
+            item.append(summary, description, meta, value, remove);
+            this.list.appendChild(item);
+        });
+
+        if (cookies.length) {
+            const item = document.createElement('div');
+            item.className = 'border-t border-white/10 py-4';
+            const name = document.createElement('p');
+            name.className = 'text-white font-bold text-sm';
+            name.textContent = 'Cookies do Google Analytics';
+            const description = document.createElement('p');
+            description.className = 'text-xs leading-relaxed mt-2';
+            description.textContent = `${cookies.join(', ')}. Gravados só com o seu consentimento de análise; são apagados ao revogá-lo ou ao apagar tudo.`;
+            item.append(name, description);
+            this.list.appendChild(item);
+        }
+    }
+
+    showStatus(text) {
+        this.status.textContent = text;
+        this.status.classList.remove('hidden');
+    }
+
+    confirmRemoveAll() {
+        const pending = this.entries().some(entry => entry.chave === 'glx_lead_outbox');
+        const warning = pending
+            ? 'Há pedidos de contato que ainda não foram enviados e eles serão perdidos. Apagar todos os dados deste site do seu navegador?'
+            : 'Apagar todos os dados deste site do seu navegador?';
+        if (!window.confirm(warning)) return;
+
+        this.removeAll();
+        // Módulos carregados ainda têm os dados em memória: recarregar começa do zero
+        window.location.reload();
+    }
+}
+
+// Exportar para uso global (navegador) e para os testes (node --test)
+if (typeof window !== 'undefined') {
+    // Retenção aplicada já no <head>, antes de os módulos lerem o storage
+    const privacyCenter = new PrivacyCenter();
+    privacyCenter.enforceRetention();
+    document.addEventListener('DOMContentLoaded', () => privacyCenter.init());
+
+    window.PRIVACY_CONFIG = PRIVACY_CONFIG;
+    window.PRIVACY_STORAGE = PRIVACY_STORAGE;
+    window.PrivacyCenter = PrivacyCenter;
+    window.privacyCenter = privacyCenter;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PRIVACY_CONFIG, PRIVACY_STORAGE, PrivacyCenter };
+}
@@ -0,0 +1,163 @@
+/**
+ * 🧭 RADAR ASSESSMENT - AUTOAVALIAÇÃO DE MATURIDADE
+ * Role: Questionário curto (TAT, NPS, Digitalização, Previsibilidade, Custos, Engajamento)
+ * Patterns: Data-driven (data/radar-benchmarks.json) | CustomEvent 'radarAssessmentChanged'
+ * Governance: Respostas salvas apenas no navegador (localStorage) | textContent para dados externos
+ *
+ * O gráfico radar (js/calculator.js) escuta 'radarAssessmentChanged' e redesenha:
+ *   - Sua Clínica        → respostas do questionário (0-100 por dimensão)
+ *   - Média do Segmento  → benchmark do tipo/porte selecionado
+ *   - Referência LSS 4.0 → clínicas maduras do mesmo tipo/porte
+ */
+
+class RadarAssessment {
+    constructor(containerId, options = {}) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) return;
+
+        this.dataUrl = options.dataUrl || 'data/radar-benchmarks.json';
+        this.storageKey = options.storageKey || 'glx_radar_assessment';
+
+        this.data = null;
+        this.answers = this.loadAnswers();
+
+        this.init();
+    }
+
+    async init() {
+        try {
+            const response = await fetch(this.dataUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.data = await response.json();
+        } catch (error) {
+            // Sem dataset o radar mantém o perfil estático do calculator.js
+            console.error('[RadarAssessment] Erro ao carregar benchmarks:', error);
+            this.container.classList.add('hidden');
+            return;
+        }
+
+        this.answers.tipo = this.answers.tipo || this.data.tipos[0].id;
+        this.answers.porte = this.answers.porte || this.data.portes[0].id;
+
+        this.render();
+        this.emit();
+    }
+
+    loadAnswers() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    saveAnswers() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.answers));
+        } catch (e) {
+            console.error('Failed to save radar assessment:', e);
+        }
+    }
+
+    createSelect(name, label, options, selected, placeholder) {
+        const wrapper = document.createElement('div');
+
+        const labelEl = document.createElement('label');
+        labelEl.className = 'block text-xs font-bold text-slate-500 mb-1';
+        labelEl.htmlFor = `radar-${name}`;
+        labelEl.textContent = label;
+
+        const select = document.createElement('select');
+        select.id = `radar-${name}`;
+        select.name = name;
+        select.className = 'w-full bg-white border-slate-200 rounded-xl px-3 py-2 text-sm text-slate-700 focus:ring-primary focus:border-primary';
+
+        if (placeholder) {
+            const empty = document.createElement('option');
+            empty.value = '';
+            empty.textContent = placeholder;
+            select.appendChild(empty);
+        }
+
+        options.forEach(({ value, text }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            option.selected = String(selected) === String(value);
+            select.appendChild(option);
+        });
+
+        select.addEventListener('change', () => {
+            this.answers[name] = select.value === '' ? undefined : select.value;
+            this.saveAnswers();
+            this.emit();
+        });
+
+        wrapper.append(labelEl, select);
+        return wrapper;
+    }
+
+    render() {
+        this.container.innerHTML = '';
+
+        const profile = document.createElement('div');
+        profile.className = 'grid grid-cols-1 sm:grid-cols-2 gap-4';
+        profile.append(
+            this.createSelect('tipo', 'Tipo de operação', this.data.tipos.map(t => ({ value: t.id, text: t.label })), this.answers.tipo),
+            this.createSelect('porte', 'Porte', this.data.portes.map(p => ({ value: p.id, text: p.label })), this.answers.porte)
+        );
+        this.container.appendChild(profile);
+
+        const questions = document.createElement('div');
+        questions.className = 'space-y-4 mt-6';
+        this.data.dimensoes.forEach(dim => {
+            questions.appendChild(this.createSelect(
+                dim.id,
+                `${dim.label} — ${dim.pergunta}`,
+                dim.opcoes.map(o => ({ value: o.valor, text: o.texto })),
+                this.answers[dim.id],
+                'Selecione uma opção'
+            ));
+        });
+        this.container.appendChild(questions);
+    }
+
+    /**
+     * Resultado atual da autoavaliação
+     * @returns {{labels: string[], clinica: Array<number|null>, mercado: number[], lss: number[], tipo: string, porte: string, respondidas: number}}
+     */
+    getResult() {
+        if (!this.data) return null;
+
+        const profile = (this.data.benchmarks[this.answers.tipo] || {})[this.answers.porte];
+        const clinica = this.data.dimensoes.map(dim => {
+            const val = this.answers[dim.id];
+            return val === undefined ? null : Number(val);
+        });
+
+        return {
+            labels: this.data.dimensoes.map(dim => dim.label),
+            clinica,
+            mercado: profile ? profile.mercado : [],
+            lss: profile ? profile.lss : [],
+            tipo: this.answers.tipo,
+            porte: this.answers.porte,
+            respondidas: clinica.filter(v => v !== null).length
+        };
+    }
+
+    emit() {
+        document.dispatchEvent(new CustomEvent('radarAssessmentChanged', { detail: this.getResult() }));
+    }
+}
+
+// Auto-init
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('radar-assessment')) {
+        window.radarAssessment = new RadarAssessment('radar-assessment');
+    }
+});
+
+window.RadarAssessment = RadarAssessment;
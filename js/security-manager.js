@@ -62,8 +62,15 @@ class SecurityManager {
 
     /**
      * Valida input de formulário
+     * Campos do lead (nome, email, ...) e os tipos email/phone/text seguem js/lead-schema.js
      */
     validateFormInput(input, type = 'text') {
+        if (window.LeadSchema) {
+            if (LeadSchema.SCHEMA[type]) return LeadSchema.validateField(type, input).valid;
+            if (type === 'phone') return LeadSchema.TYPES.phone(LeadSchema.toE164(input));
+            if (LeadSchema.TYPES[type]) return LeadSchema.TYPES[type](String(input).trim());
+        }
+
         const validators = {
             email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
             phone: (value) => /^\+?[\d\s\-()]+$/.test(value),
@@ -101,11 +108,32 @@ class SecurityManager {
 
     /**
      * Rate limiting simples para prevenir abuse
+     * Com `options.storageKey` as tentativas ficam no localStorage e sobrevivem a reloads.
+     * `limiter(key, { record: false })` só consulta; a tentativa é contada depois, com `limiter(key)`.
      */
-    createRateLimiter(maxAttempts = 5, windowMs = 60000) {
-        const attempts = new Map();
+    createRateLimiter(maxAttempts = 5, windowMs = 60000, options = {}) {
+        const { storageKey } = options;
+        const load = () => {
+            if (!storageKey) return null;
+            try {
+                return new Map(Object.entries(JSON.parse(localStorage.getItem(storageKey)) || {}));
+            } catch (e) {
+                return new Map();
+            }
+        };
+        const save = (map) => {
+            if (!storageKey) return;
+            try {
+                localStorage.setItem(storageKey, JSON.stringify(Object.fromEntries(map)));
+            } catch (e) {
+                console.error('Failed to save rate limiter state:', e);
+            }
+        };
+        const memory = new Map();
 
-        return (key) => {
+        return (key, { record = true } = {}) => {
+            // Relê a cada chamada: outra aba pode ter registrado tentativas
+            const attempts = load() || memory;
             const now = Date.now();
             const userAttempts = attempts.get(key) || [];
             
@@ -119,8 +147,11 @@ class SecurityManager {
                 };
             }
 
+            if (!record) return { allowed: true };
+
             recentAttempts.push(now);
             attempts.set(key, recentAttempts);
+            save(attempts);
 
             return { allowed: true };
         };
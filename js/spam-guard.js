@@ -0,0 +1,205 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GLX PARTNERS - PROTEÇÃO ANTI-SPAM (SEM SERVIÇOS DE TERCEIROS)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * PROPÓSITO (WHY):
+ * -----------------
+ * O site não tinha CAPTCHA: qualquer bot podia preencher o #contactForm, o
+ * modal do thank-you.html ou a Luna e consumir a quota do EmailJS. Esta camada
+ * roda antes de todo envio de lead, em todos os canais, sem depender de
+ * serviços externos (CSP e LGPD continuam iguais).
+ *
+ * CAMADAS (em ordem, a primeira que bloquear encerra):
+ * -----------------------------------------------------
+ * | Camada          | Pega                                    | Resposta ao visitante      |
+ * |-----------------|-----------------------------------------|----------------------------|
+ * | honeypot        | Bots que preenchem todos os inputs      | Sucesso falso (silencioso) |
+ * | tempo mínimo    | Envio < 3s após abrir/focar o formulário| Pede para revisar e enviar |
+ * | rate limit      | > 3 leads em 10 min neste navegador     | Informa quando tentar      |
+ * | proof-of-work   | Envio em massa (custo de CPU por lead)  | Transparente (~0,2–1s)     |
+ * | CAPTCHA (hook)  | Provedor plugado via registerCaptcha()  | Depende do provedor        |
+ *
+ * - Rate limit: SecurityManager.createRateLimiter() persistido em
+ *   `glx_spam_rate` (sobrevive a reloads e vale para todas as abas).
+ *   `check()` só consulta o limite; o canal chama `recordSend()` quando o lead
+ *   entra no pipeline (enviado ou na fila de reenvio). Falha no proof-of-work,
+ *   no transporte ou recusa do serviço não gastam o limite.
+ * - Proof-of-work: SHA-256(challenge:nonce) com N bits iniciais zerados.
+ *   O resultado vai no lead (`lead.antispam`) para o backend poder conferir
+ *   (server/lead-receiver.js valida; com REQUIRE_POW=1 passa a exigir).
+ *
+ * USO:
+ * ----
+ *   <form data-spam-guard="contact"> + input honeypot `name="website"`
+ *   const verdict = await spamGuard.check('contact', { form });
+ *   if (verdict.allowed) lead.antispam = verdict.proof;
+ *   const result = await leadOutbox.deliver(lead);
+ *   if (result.status !== 'failed') spamGuard.recordSend();
+ *   // check() pode rejeitar (SubtleCrypto, CAPTCHA): o canal trata e restaura a UI
+ *
+ *   // CAPTCHA futuro (ex: Turnstile, hCaptcha):
+ *   spamGuard.registerCaptcha({ name: 'turnstile', verify: async ({ channel, form }) => token });
+ */
+
+class SpamGuard {
+    constructor(options = {}) {
+        this.minTimeMs = options.minTimeMs !== undefined ? options.minTimeMs : 3000;
+        this.honeypotName = options.honeypotName || 'website';
+        this.maxAttempts = options.maxAttempts || 3;
+        this.windowMs = options.windowMs || 10 * 60 * 1000;
+        this.rateKey = options.rateKey || 'glx_spam_rate';
+        this.powDifficulty = options.powDifficulty !== undefined ? options.powDifficulty : 12;
+
+        this.startedAt = new Map();
+        this.captcha = null;
+        this.limiter = null;
+    }
+
+    init() {
+        document.querySelectorAll('form[data-spam-guard]').forEach(form => {
+            this.protect(form, form.dataset.spamGuard);
+        });
+    }
+
+    // Marca o início do preenchimento: renderização e, depois, o primeiro foco
+    protect(form, channel) {
+        this.start(channel);
+        form.addEventListener('focusin', () => this.start(channel), { once: true });
+    }
+
+    start(channel) {
+        this.startedAt.set(channel, Date.now());
+    }
+
+    /**
+     * Registra o provedor de CAPTCHA (opcional)
+     * @param {{name: string, verify: function({channel: string, form?: HTMLFormElement}): Promise<string>}} provider
+     */
+    registerCaptcha(provider) {
+        if (!provider || typeof provider.verify !== 'function') {
+            throw new Error('Provedor de CAPTCHA precisa implementar verify({ channel, form })');
+        }
+        this.captcha = provider;
+    }
+
+    rateLimit(key, options) {
+        if (!this.limiter) {
+            this.limiter = window.securityManager
+                ? window.securityManager.createRateLimiter(this.maxAttempts, this.windowMs, { storageKey: this.rateKey })
+                : () => ({ allowed: true });
+        }
+        return this.limiter(key, options);
+    }
+
+    // Conta no rate limit um lead que saiu (ou ficou na fila de reenvio, que vai enviá-lo)
+    recordSend() {
+        this.rateLimit('lead');
+    }
+
+    /**
+     * Executa as camadas para um envio de lead
+     * @param {string} channel - 'contact' | 'modal' | 'chatbot'
+     * @param {{form?: HTMLFormElement}} options
+     * @returns {Promise<{allowed: boolean, reason?: string, silent?: boolean, retryAfter?: number, proof?: Object}>}
+     */
+    async check(channel, { form } = {}) {
+        const blocked = (reason, extra = {}) => {
+            if (window.trackEvent) {
+                window.trackEvent('spam_blocked', { channel, reason });
+            }
+            return { allowed: false, reason, ...extra };
+        };
+
+        // 1. Honeypot: invisível para humanos
+        const honeypot = form && form.elements[this.honeypotName];
+        if (honeypot && honeypot.value) return blocked('honeypot', { silent: true });
+
+        // 2. Tempo mínimo de preenchimento
+        const started = this.startedAt.get(channel);
+        const elapsedMs = started ? Date.now() - started : 0;
+        if (!started || elapsedMs < this.minTimeMs) {
+            return blocked('too_fast', { retryAfter: Math.ceil((this.minTimeMs - elapsedMs) / 1000) });
+        }
+
+        // 3. Rate limit por navegador (todos os canais somam); só consulta, recordSend() conta
+        const rate = this.rateLimit('lead', { record: false });
+        if (!rate.allowed) return blocked('rate_limited', { retryAfter: rate.retryAfter });
+
+        // 4. Proof-of-work
+        const proof = await this.solveChallenge(channel);
+        proof.elapsedMs = elapsedMs;
+
+        // 5. CAPTCHA plugável
+        if (this.captcha) {
+            try {
+                const token = await this.captcha.verify({ channel, form });
+                if (!token) return blocked('captcha');
+                proof.captcha = { provider: this.captcha.name, token };
+            } catch (error) {
+                console.error('[SpamGuard] CAPTCHA falhou:', error);
+                return blocked('captcha');
+            }
+        }
+
+        return { allowed: true, proof };
+    }
+
+    // --- Proof-of-work ---
+
+    async solveChallenge(channel) {
+        const random = window.crypto && window.crypto.getRandomValues
+            ? Array.from(window.crypto.getRandomValues(new Uint8Array(8)), b => b.toString(16).padStart(2, '0')).join('')
+            : Math.random().toString(16).slice(2);
+        const challenge = `${channel}:${Date.now()}:${random}`;
+
+        // Sem SubtleCrypto (HTTP fora de localhost) não há como provar; o backend decide
+        if (!window.crypto || !window.crypto.subtle || !this.powDifficulty) {
+            return { challenge, nonce: null, difficulty: 0 };
+        }
+
+        for (let nonce = 0; ; nonce++) {
+            if (SpamGuard.leadingZeroBits(await SpamGuard.sha256(`${challenge}:${nonce}`)) >= this.powDifficulty) {
+                return { challenge, nonce, difficulty: this.powDifficulty };
+            }
+        }
+    }
+
+    static async sha256(text) {
+        return new Uint8Array(await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+    }
+
+    static leadingZeroBits(bytes) {
+        let bits = 0;
+        for (const byte of bytes) {
+            if (byte === 0) {
+                bits += 8;
+                continue;
+            }
+            return bits + Math.clz32(byte) - 24;
+        }
+        return bits;
+    }
+
+    // Texto para o visitante (null = não mostrar nada)
+    static message(verdict) {
+        switch (verdict.reason) {
+            case 'too_fast':
+                return 'Opa, foi rápido demais! Confira seus dados e envie novamente em alguns segundos.';
+            case 'rate_limited':
+                return `Recebemos várias solicitações deste navegador. Tente novamente em ${Math.ceil(verdict.retryAfter / 60)} min ou fale conosco pelo WhatsApp.`;
+            case 'captcha':
+                return 'Não foi possível confirmar que você não é um robô. Tente novamente.';
+            default:
+                return null;
+        }
+    }
+}
+
+// Auto-init (instância criada já no carregamento para os canais poderem usá-la)
+window.spamGuard = new SpamGuard();
+document.addEventListener('DOMContentLoaded', () => {
+    window.spamGuard.init();
+});
+
+window.SpamGuard = SpamGuard;
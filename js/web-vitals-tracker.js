@@ -2,6 +2,10 @@
  * Web Vitals Tracker - Observabilidade de Performance
  * Coleta e reporta métricas críticas de Core Web Vitals
  * LCP, FID, CLS, TTFB, FCP
+ *
+ * LGPD: gtag e reportEndpoint só recebem métricas com consentimento de
+ * analytics (js/consent-manager.js). Até a escolha, as métricas ficam em
+ * memória; se o visitante recusar, são descartadas.
  */
 
 class WebVitalsTracker {
@@ -21,6 +25,14 @@ class WebVitalsTracker {
             ttfb: null  // Time to First Byte
         };
 
+        this.pendingReports = [];
+        document.addEventListener('consentChanged', (event) => {
+            const pending = this.pendingReports.splice(0);
+            if (event.detail.categorias.analytics) {
+                pending.forEach(({ name, value, rating }) => this.report(name, value, rating));
+            }
+        });
+
         this.init();
     }
 
@@ -119,7 +131,25 @@ class WebVitalsTracker {
 
         // Classificar métrica
         const rating = this.getRating(name, value);
-        
+
+        if (this.hasConsent()) {
+            this.report(name, value, rating);
+        } else {
+            this.pendingReports.push({ name, value, rating });
+        }
+
+        // Disparar evento customizado
+        const event = new CustomEvent('webVitalMeasured', {
+            detail: { name, value, rating, metrics: this.metrics }
+        });
+        document.dispatchEvent(event);
+    }
+
+    hasConsent() {
+        return Boolean(window.consentManager && window.consentManager.allows('analytics'));
+    }
+
+    report(name, value, rating) {
         // Enviar para analytics se configurado
         if (typeof window.gtag === 'function') {
             window.gtag('event', 'web_vitals', {
@@ -135,12 +165,6 @@ class WebVitalsTracker {
         if (this.options.reportEndpoint) {
             this.sendToEndpoint(name, value, rating);
         }
-
-        // Disparar evento customizado
-        const event = new CustomEvent('webVitalMeasured', {
-            detail: { name, value, rating, metrics: this.metrics }
-        });
-        document.dispatchEvent(event);
     }
 
     getRating(name, value) {
@@ -162,6 +186,8 @@ class WebVitalsTracker {
     }
 
     async sendToEndpoint(name, value, rating) {
+        if (!this.hasConsent()) return;
+
         try {
             await fetch(this.options.reportEndpoint, {
                 method: 'POST',
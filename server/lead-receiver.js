@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GLX PARTNERS - RECEPTOR DE LEADS DE REFERÊNCIA (WEBHOOK LOCAL)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * PROPÓSITO (WHY):
+ * -----------------
+ * Backend mínimo para testar o fluxo completo de leads sem EmailJS e sem
+ * internet: recebe o transporte `webhook` (js/lead-transport.js) e grava cada
+ * lead em um arquivo JSON. Também serve os arquivos estáticos do site, então
+ * o webhook fica na mesma origem e a CSP (connect-src 'self') já permite.
+ *
+ * USO:
+ * ----
+ *   node server/lead-receiver.js
+ *   → abra http://localhost:8787/?lead_transport=webhook
+ *
+ *   Variáveis de ambiente:
+ *   - PORT        (padrão 8787)
+ *   - HOST        (padrão 127.0.0.1: só esta máquina; '0.0.0.0' abre para a rede)
+ *   - LEADS_FILE  (padrão server/data/leads.json)
+ *   - CORS_ORIGIN (padrão nenhum: só a própria origem; defina a origem de outro
+ *                  dev server para ele poder enviar leads. Nunca vale para o GET)
+ *   - REQUIRE_POW (padrão desligado; '1' recusa leads sem proof-of-work de js/spam-guard.js)
+ *   - MIN_POW_BITS (padrão 12; dificuldade mínima aceita)
+ *
+ * ENDPOINTS:
+ * ----------
+ * - POST /api/leads → { lead, params, meta } → 201 { ok: true, id, protocolo }
+ *                     (mesmo lead.leadId de novo → 200 { ok: true, id, protocolo, duplicate: true })
+ *                     (proof-of-work inválido ou reaproveitado de outro lead → 422)
+ * - GET  /api/leads → lista os leads gravados (somente para inspeção local, sem CORS:
+ *                     outras páginas abertas no navegador não leem os dados pessoais)
+ * - GET  /*         → arquivos estáticos do site (somente PUBLIC_PATHS; dotfiles,
+ *                     server/ e o resto do repositório → 403, URL malformada → 400)
+ *   URL que não pode ser interpretada, em qualquer rota → 400 (o servidor segue no ar)
+ *
+ * ⚠️ Referência para desenvolvimento: sem autenticação, sem TLS.
+ *    Não expor na internet como está.
+ *
+ * Dependências: apenas módulos nativos do Node (http, fs, path, crypto).
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || '127.0.0.1';
+const ROOT = path.resolve(__dirname, '..');
+const LEADS_FILE = path.resolve(process.env.LEADS_FILE || path.join(__dirname, 'data', 'leads.json'));
+const CORS_ORIGIN = process.env.CORS_ORIGIN || '';
+const MAX_BODY_BYTES = 64 * 1024;
+const REQUIRE_POW = process.env.REQUIRE_POW === '1';
+const MIN_POW_BITS = Number(process.env.MIN_POW_BITS) || 12;
+
+// O que o navegador precisa: páginas e pastas do site. O resto da raiz (server/, .git, docs, configs de deploy) fica fora.
+const PUBLIC_FILES = new Set(['index.html', 'thank-you.html']);
+const PUBLIC_DIRS = new Set(['js', 'css', 'img', 'data', 'components']);
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.pdf': 'application/pdf',
+    '.ics': 'text/calendar; charset=utf-8'
+};
+
+// --- Storage (arquivo JSON, escrita atômica via arquivo temporário + rename) ---
+
+function readLeads() {
+    try {
+        return JSON.parse(fs.readFileSync(LEADS_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+function writeLeads(leads) {
+    fs.mkdirSync(path.dirname(LEADS_FILE), { recursive: true });
+    const tmp = `${LEADS_FILE}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(leads, null, 2));
+    fs.renameSync(tmp, LEADS_FILE);
+}
+
+// Requisições são tratadas uma a uma no event loop; a leitura+escrita síncrona evita perda por concorrência.
+// Reenvios da fila offline (js/lead-outbox.js) repetem o mesmo leadId: devolve o registro existente.
+function appendLead(entry) {
+    const leads = readLeads();
+    const leadId = entry.lead.leadId;
+    const existing = leadId ? leads.find(item => item.lead && item.lead.leadId === leadId) : null;
+    if (existing) return { entry: existing, duplicate: true };
+
+    // Um proof-of-work vale para um único lead
+    const challenge = entry.lead.antispam && entry.lead.antispam.challenge;
+    if (challenge && leads.some(item => item.lead && item.lead.antispam && item.lead.antispam.challenge === challenge)) {
+        return { entry, replayed: true };
+    }
+
+    leads.push(entry);
+    writeLeads(leads);
+    return { entry, duplicate: false };
+}
+
+// --- HTTP helpers ---
+
+// Sem CORS_ORIGIN o navegador só aceita respostas para a própria origem
+function corsHeaders(extra = {}) {
+    return CORS_ORIGIN ? { 'Access-Control-Allow-Origin': CORS_ORIGIN, ...extra } : {};
+}
+
+function sendJSON(res, status, body, { cors = true } = {}) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        ...(cors ? corsHeaders() : {})
+    });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Payload muito grande'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function validateLead(body) {
+    const lead = body && body.lead;
+    if (!lead || typeof lead !== 'object') return 'Campo "lead" ausente';
+    if (!lead.nome || typeof lead.nome !== 'string') return 'Campo "lead.nome" obrigatório';
+    if (!lead.email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(lead.email)) return 'Campo "lead.email" inválido';
+    return null;
+}
+
+function leadingZeroBits(buffer) {
+    let bits = 0;
+    for (const byte of buffer) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        return bits + Math.clz32(byte) - 24;
+    }
+    return bits;
+}
+
+// Confere o proof-of-work de js/spam-guard.js: SHA-256(challenge:nonce) com N bits zerados
+function validateProof(lead) {
+    const proof = lead.antispam;
+    if (!proof || proof.nonce === null || proof.nonce === undefined) {
+        return REQUIRE_POW ? 'Proof-of-work ausente' : null;
+    }
+    if (typeof proof.challenge !== 'string' || !Number.isInteger(proof.nonce)) return 'Proof-of-work malformado';
+
+    const hash = crypto.createHash('sha256').update(`${proof.challenge}:${proof.nonce}`).digest();
+    if (leadingZeroBits(hash) < Math.max(MIN_POW_BITS, Number(proof.difficulty) || 0)) return 'Proof-of-work inválido';
+    return null;
+}
+
+// --- Handlers ---
+
+async function handleCreateLead(req, res) {
+    let body;
+    try {
+        body = JSON.parse(await readBody(req));
+    } catch (error) {
+        sendJSON(res, error.status || 400, { ok: false, error: error.status ? error.message : 'JSON inválido' });
+        return;
+    }
+
+    const invalid = validateLead(body) || validateProof(body.lead);
+    if (invalid) {
+        sendJSON(res, 422, { ok: false, error: invalid });
+        return;
+    }
+
+    const entry = {
+        id: crypto.randomUUID(),
+        receivedAt: new Date().toISOString(),
+        lead: body.lead,
+        params: body.params || {},
+        meta: { ...(body.meta || {}), userAgent: req.headers['user-agent'] || null }
+    };
+
+    let result;
+    try {
+        result = appendLead(entry);
+    } catch (error) {
+        console.error('[lead-receiver] Falha ao gravar lead:', error);
+        sendJSON(res, 500, { ok: false, error: 'Falha ao gravar lead' });
+        return;
+    }
+
+    if (result.replayed) {
+        sendJSON(res, 422, { ok: false, error: 'Proof-of-work já utilizado' });
+        return;
+    }
+
+    if (result.duplicate) {
+        console.log(`[lead-receiver] Lead ${result.entry.id} reenviado (leadId ${entry.lead.leadId}), ignorando duplicata`);
+        sendJSON(res, 200, { ok: true, id: result.entry.id, protocolo: result.entry.lead.protocolo || null, duplicate: true });
+        return;
+    }
+
+    console.log(`[lead-receiver] Lead ${entry.id} (${entry.lead.protocolo || 'sem protocolo'}) recebido de ${entry.lead.email}`);
+    sendJSON(res, 201, { ok: true, id: entry.id, protocolo: entry.lead.protocolo || null });
+}
+
+function handleListLeads(res) {
+    let leads;
+    try {
+        leads = readLeads();
+    } catch (error) {
+        // leads.json truncado ou corrompido: responde erro em vez de derrubar o receptor
+        console.error('[lead-receiver] Falha ao ler leads:', error);
+        sendJSON(res, 500, { ok: false, error: 'Falha ao ler leads' }, { cors: false });
+        return;
+    }
+    // Nome, e-mail e telefone: nunca liberados para outras origens
+    sendJSON(res, 200, leads, { cors: false });
+}
+
+function isPublicPath(relative) {
+    const segments = relative.split('/').filter(Boolean);
+    if (!segments.length || segments.some(segment => segment.startsWith('.'))) return false;
+    return segments.length === 1 ? PUBLIC_FILES.has(segments[0]) : PUBLIC_DIRS.has(segments[0]);
+}
+
+function handleStatic(req, res, pathname) {
+    let relative;
+    try {
+        relative = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+    } catch (error) {
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+    const filePath = path.resolve(ROOT, '.' + relative);
+
+    // Bloqueia path traversal, dotfiles, o que não é do site e os arquivos internos do receptor
+    if (!filePath.startsWith(ROOT + path.sep)
+        || !isPublicPath(path.relative(ROOT, filePath).split(path.sep).join('/'))
+        || filePath === LEADS_FILE || filePath.startsWith(`${LEADS_FILE}.`)) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            res.writeHead(error.code === 'ENOENT' ? 404 : 500);
+            res.end(error.code === 'ENOENT' ? 'Not found' : 'Internal error');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    // Base fixa: o cabeçalho Host vem do cliente e não participa do roteamento
+    let pathname;
+    try {
+        ({ pathname } = new URL(req.url, 'http://localhost'));
+    } catch (error) {
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+
+    if (pathname === '/api/leads') {
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, corsHeaders({
+                'Access-Control-Allow-Methods': 'POST, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type'
+            }));
+            res.end();
+        } else if (req.method === 'POST') {
+            handleCreateLead(req, res);
+        } else if (req.method === 'GET') {
+            handleListLeads(res);
+        } else {
+            sendJSON(res, 405, { ok: false, error: 'Método não permitido' });
+        }
+        return;
+    }
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+        handleStatic(req, res, pathname);
+        return;
+    }
+
+    res.writeHead(405);
+    res.end('Method not allowed');
+});
+
+if (require.main === module) {
+    server.listen(PORT, HOST, () => {
+        console.log(`[lead-receiver] http://${HOST === '127.0.0.1' ? 'localhost' : HOST}:${PORT}/?lead_transport=webhook`);
+        console.log(`[lead-receiver] Leads em ${LEADS_FILE}`);
+    });
+}
+
+module.exports = { server, readLeads };
@@ -0,0 +1,114 @@
+/**
+ * Casos de referência de js/calculator-engine.js (tabela "CASOS DE REFERÊNCIA" do cabeçalho).
+ * Rodar na raiz do repositório: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// O motor usa LSSRecovery / LSS_RECOVERY_MODEL como globais, como no navegador
+const { LSS_RECOVERY_MODEL, LSSRecovery } = require('../js/calculator-config.js');
+Object.assign(globalThis, { LSS_RECOVERY_MODEL, LSSRecovery });
+const { LSSCalculatorEngine } = require('../js/calculator-engine.js');
+
+const INVESTIMENTO = { consultoria: 30000, implantacao: 15000, mensalidade: 5000, taxaDesconto: 12 };
+
+// Intl separa símbolo e número com NBSP
+const texto = (valor) => valor.replace(/\s/g, ' ');
+
+const CASOS = [
+    {
+        entrada: { faturamento: 150000, desperdicio: 15, margem: 10 },
+        valorRecuperavel: 162000, novaMargem: 19, payback: 10,
+        roi: [22.142857, 75.909091, 101], vpl: 180168.71
+    },
+    {
+        entrada: { faturamento: 50000, desperdicio: 10, margem: 8 },
+        valorRecuperavel: 36000, novaMargem: 14, payback: null,
+        roi: [-72.857143, -60.909091, -55.333333], vpl: -113086.55
+    },
+    {
+        entrada: { faturamento: 0, desperdicio: 15, margem: 10 },
+        valorRecuperavel: 0, novaMargem: 19, payback: null,
+        roi: [-100, -100, -100], vpl: -196873.77
+    }
+];
+
+CASOS.forEach(caso => {
+    const { faturamento, desperdicio, margem } = caso.entrada;
+
+    test(`calcular: ${faturamento} / ${desperdicio}% / ${margem}%`, () => {
+        const r = LSSCalculatorEngine.calcular({ ...caso.entrada, ...INVESTIMENTO });
+
+        assert.ok(Math.abs(r.valorRecuperavel - caso.valorRecuperavel) < 1e-6);
+        assert.ok(Math.abs(r.novaMargem - caso.novaMargem) < 1e-9);
+        assert.equal(r.fluxo.payback, caso.payback);
+        [r.fluxo.roi12, r.fluxo.roi24, r.fluxo.roi36].forEach((roi, i) => {
+            assert.ok(Math.abs(roi - caso.roi[i]) < 1e-5, `ROI ${(i + 1) * 12}: ${roi}`);
+        });
+        assert.ok(Math.abs(r.fluxo.vpl - caso.vpl) < 0.01, `VPL: ${r.fluxo.vpl}`);
+    });
+});
+
+test('calcular: entradas inválidas ou negativas valem 0', () => {
+    const r = LSSCalculatorEngine.calcular({ faturamento: 'abc', desperdicio: -5, margem: null });
+
+    assert.deepEqual(r.entrada, {
+        faturamento: 0, desperdicio: 0, margem: 0, consultoria: 0, implantacao: 0, mensalidade: 0, taxaDesconto: 0
+    });
+    assert.equal(r.valorRecuperavel, 0);
+    assert.equal(r.fluxo.roi12, null); // Sem custo não há ROI
+});
+
+test('categorias somam o valor recuperável', () => {
+    const r = LSSCalculatorEngine.calcular({ faturamento: 150000, desperdicio: 15, margem: 10 });
+    const recuperado = r.categorias.reduce((acc, c) => acc + c.recuperado, 0);
+
+    assert.ok(Math.abs(recuperado - r.valorRecuperavel) < 1e-6);
+});
+
+test('sensibilidade: ±10% move o valor recuperável em ±16.200; margem não altera', () => {
+    const { base, itens } = LSSCalculatorEngine.sensibilidade({ faturamento: 150000, desperdicio: 15, margem: 10 });
+    const impacto = Object.fromEntries(itens.map(item => [item.campo, item.impacto]));
+
+    assert.equal(base, 162000);
+    ['faturamento', 'desperdicio', 'taxaRecuperacao'].forEach(campo => {
+        assert.ok(Math.abs(impacto[campo] - 32400) < 1e-6, campo);
+    });
+    assert.equal(impacto.margem, 0);
+    assert.equal(itens[itens.length - 1].campo, 'margem');
+});
+
+test('formatadores pt-BR', () => {
+    assert.equal(texto(LSSCalculatorEngine.formatarMoeda(162000)), 'R$ 162.000');
+    assert.equal(texto(LSSCalculatorEngine.formatarMoeda(1500000)), 'R$ 1,5 mi');
+    assert.equal(LSSCalculatorEngine.formatarPercentual(19), '19,0%');
+    assert.equal(LSSCalculatorEngine.formatarROI(22.142857), '+22%');
+    assert.equal(LSSCalculatorEngine.formatarROI(null), '—');
+    assert.equal(LSSCalculatorEngine.formatarPayback(10), 'Mês 10');
+    assert.equal(LSSCalculatorEngine.formatarPayback(null), '> 36 meses');
+});
+
+test('interpretarNumero', () => {
+    assert.equal(LSSCalculatorEngine.interpretarNumero('R$ 1,5 mi', 'pt-BR'), 1500000);
+    assert.equal(LSSCalculatorEngine.interpretarNumero('150.000', 'pt-BR'), 150000);
+    assert.equal(LSSCalculatorEngine.interpretarNumero('1.5M', 'pt-BR'), 1500000);
+    assert.equal(LSSCalculatorEngine.interpretarNumero('45 mil €', 'pt-PT'), 45000);
+    assert.equal(LSSCalculatorEngine.interpretarNumero('$2.5K', 'en-US'), 2500);
+    assert.equal(LSSCalculatorEngine.interpretarNumero('sem número', 'pt-BR'), 0);
+});
+
+test('interpretarNumero: k/m/b e "mil" valem em qualquer locale', () => {
+    ['pt-BR', 'pt-PT', 'es-MX', 'en-US'].forEach(locale => {
+        assert.equal(LSSCalculatorEngine.interpretarNumero('2b', locale), 2e9, locale);
+        assert.equal(LSSCalculatorEngine.interpretarNumero('2 bi', locale), 2e9, locale);
+        assert.equal(LSSCalculatorEngine.interpretarNumero('2 mil', locale), 2000, locale);
+    });
+    assert.equal(LSSCalculatorEngine.interpretarNumero('1,5m', 'es-MX'), 1500000);
+});
+
+test('formatarPayback segue o idioma do locale', () => {
+    assert.equal(LSSCalculatorEngine.formatarPayback(10, { locale: 'es-MX' }), 'Mes 10');
+    assert.equal(LSSCalculatorEngine.formatarPayback(null, { locale: 'en-US' }), '> 36 months');
+    assert.equal(LSSCalculatorEngine.formatarPayback(10, { locale: 'pt-PT' }), 'Mês 10');
+});
@@ -0,0 +1,209 @@
+/**
+ * Transições da conversa da Luna (data/luna-flow.json + js/luna-flow.js), uma por vez.
+ * Rodar na raiz do repositório: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+// O validador padrão usa LeadSchema como global, como no navegador
+const { LeadSchema } = require('../js/lead-schema.js');
+globalThis.LeadSchema = LeadSchema;
+const { LunaValidators, LunaFlowEngine } = require('../js/luna-flow.js');
+const FLUXO = require(path.join(__dirname, '..', 'data', 'luna-flow.json'));
+
+// Efeitos e ação com o mesmo contrato dos registrados em LunaChatbot.loadFlow() (js/animations.js)
+function criarMotor() {
+    const envios = [];
+    const handlers = {
+        efeitos: {
+            sugerirEmail: (ctx) => {
+                ctx.vars.sugestaoEmail = ctx.dados.email.endsWith('@gmial.com') ? ctx.dados.email.replace('@gmial.com', '@gmail.com') : null;
+            },
+            aceitarSugestaoEmail: (ctx) => {
+                ctx.dados.email = ctx.vars.sugestaoEmail;
+            }
+        },
+        acoes: {
+            enviarLead: async (ctx, entrada) => {
+                envios.push({ dados: { ...ctx.dados }, entrada });
+                return { resposta: 'Recebido!', proximo: 'IDLE' };
+            }
+        }
+    };
+    return { engine: new LunaFlowEngine(FLUXO, handlers), handlers, envios };
+}
+
+const novoContexto = (dados = {}) => ({ dados: { ...dados }, vars: {} });
+
+test('data/luna-flow.json passa no check() com os handlers da Luna', () => {
+    const { handlers } = criarMotor();
+    assert.deepEqual(LunaFlowEngine.check(FLUXO, handlers), []);
+    assert.equal(FLUXO.inicio, 'NAME');
+});
+
+test('check() aponta transição para estado inexistente e efeito sem handler', () => {
+    const quebrado = {
+        inicio: 'NAME',
+        estados: { NAME: { campo: 'nome', efeitos: ['semHandler'], transicoes: [{ proximo: 'NAO_EXISTE' }] } }
+    };
+    const problemas = LunaFlowEngine.check(quebrado, {});
+    assert.ok(problemas.some(p => p.includes('"NAO_EXISTE"')));
+    assert.ok(problemas.some(p => p.includes('"semHandler"')));
+});
+
+test('NAME: nome válido vai para ROLE e o prompt usa o primeiro nome', async () => {
+    const { engine } = criarMotor();
+    const ctx = novoContexto();
+    const r = await engine.transition('NAME', '  Ana   Souza ', ctx);
+
+    assert.equal(r.valido, true);
+    assert.equal(r.estado, 'ROLE');
+    assert.equal(ctx.dados.nome, 'Ana Souza');
+    assert.match(r.resposta, /Prazer, Ana!/);
+});
+
+test('NAME: validador recusa nome curto e o estado não muda', async () => {
+    const { engine } = criarMotor();
+    const ctx = novoContexto();
+    const r = await engine.transition('NAME', 'A', ctx);
+
+    assert.equal(r.valido, false);
+    assert.equal(r.estado, 'NAME');
+    assert.equal(ctx.dados.nome, undefined);
+    assert.ok(r.resposta.length > 0);
+});
+
+test('prompt escapa o que o visitante digitou', async () => {
+    const { engine } = criarMotor();
+    const r = await engine.transition('NAME', '<img src=x onerror=alert(1)>', novoContexto());
+
+    assert.equal(r.estado, 'ROLE');
+    assert.ok(!r.resposta.includes('<img'));
+    assert.match(r.resposta, /&lt;img/);
+});
+
+test('EMAIL: e-mail inválido é recusado', async () => {
+    const { engine } = criarMotor();
+    const r = await engine.transition('EMAIL', 'ana@', novoContexto({ nome: 'Ana Souza' }));
+
+    assert.equal(r.valido, false);
+    assert.equal(r.estado, 'EMAIL');
+});
+
+test('EMAIL: sem sugestão segue para DESAFIO', async () => {
+    const { engine } = criarMotor();
+    const ctx = novoContexto({ nome: 'Ana Souza' });
+    const r = await engine.transition('EMAIL', 'Ana@Clinica.com.br', ctx);
+
+    assert.equal(r.estado, 'DESAFIO');
+    assert.equal(ctx.dados.email, 'ana@clinica.com.br');
+});
+
+test('EMAIL → EMAIL_CONFIRM quando o efeito sugere correção; "sim" aceita', async () => {
+    const { engine } = criarMotor();
+    const ctx = novoContexto({ nome: 'Ana Souza' });
+
+    const r1 = await engine.transition('EMAIL', 'ana@gmial.com', ctx);
+    assert.equal(r1.estado, 'EMAIL_CONFIRM');
+    assert.match(r1.resposta, /ana@gmail\.com/);
+
+    const r2 = await engine.transition('EMAIL_CONFIRM', 'Sim', ctx);
+    assert.equal(r2.estado, 'DESAFIO');
+    assert.equal(ctx.dados.email, 'ana@gmail.com');
+});
+
+test('EMAIL_CONFIRM: "não" mantém o e-mail digitado', async () => {
+    const { engine } = criarMotor();
+    const ctx = novoContexto({ email: 'ana@gmial.com' });
+    ctx.vars.sugestaoEmail = 'ana@gmail.com';
+    const r = await engine.transition('EMAIL_CONFIRM', 'não', ctx);
+
+    assert.equal(r.estado, 'DESAFIO');
+    assert.equal(ctx.dados.email, 'ana@gmial.com');
+});
+
+test('EMAIL_CONFIRM: novo e-mail é reprocessado como EMAIL', async () => {
+    const { engine } = criarMotor();
+    const ctx = novoContexto({ email: 'ana@gmial.com' });
+    ctx.vars.sugestaoEmail = 'ana@gmail.com';
+    const r = await engine.transition('EMAIL_CONFIRM', 'ana@hospital.org.br', ctx);
+
+    assert.equal(r.estado, 'DESAFIO');
+    assert.equal(ctx.dados.email, 'ana@hospital.org.br');
+});
+
+test('DUVIDA: acao enviarLead recebe o lead completo e decide o próximo estado', async () => {
+    const { engine, envios } = criarMotor();
+    const ctx = novoContexto({ nome: 'Ana Souza', cargo: 'Diretora', email: 'ana@clinica.com.br', desafio: 'Custos' });
+    const r = await engine.transition('DUVIDA', 'Sem dúvida', ctx);
+
+    assert.equal(r.estado, 'IDLE');
+    assert.equal(r.resposta, 'Recebido!');
+    assert.equal(envios.length, 1);
+    assert.equal(envios[0].dados.mensagem, 'Sem dúvida');
+    assert.equal(envios[0].dados.cargo, 'Diretora');
+});
+
+test('DUVIDA: acao sem `proximo` mantém o estado (ex.: anti-spam pediu para reenviar)', async () => {
+    const { engine, handlers } = criarMotor();
+    handlers.acoes.enviarLead = async () => ({ resposta: 'Tente de novo' });
+    const r = await engine.transition('DUVIDA', 'Olá', novoContexto());
+
+    assert.equal(r.estado, 'DUVIDA');
+    assert.equal(r.resposta, 'Tente de novo');
+});
+
+test('estado inexistente volta para IDLE com a mensagem de erro geral', async () => {
+    const { engine } = criarMotor();
+    const r = await engine.transition('NAO_EXISTE', 'oi', novoContexto());
+
+    assert.equal(r.estado, 'IDLE');
+    assert.equal(r.valido, false);
+    assert.equal(r.resposta, FLUXO.mensagens.erroGeral);
+});
+
+test('transições condicionais por campo (ex.: leitos só para hospital)', async () => {
+    const fluxo = {
+        inicio: 'TIPO',
+        mensagens: FLUXO.mensagens,
+        estados: {
+            TIPO: {
+                campo: 'tipoClinica',
+                validador: 'opcao',
+                opcoes: [{ valor: 'clinica', texto: 'Clínica' }, { valor: 'hospital', texto: 'Hospital', sinonimos: ['hosp'] }],
+                transicoes: [
+                    { se: { campo: 'tipoClinica', igual: 'hospital' }, proximo: 'LEITOS' },
+                    { proximo: 'IDLE' }
+                ]
+            },
+            LEITOS: { prompt: 'Quantos leitos?', campo: 'leitos', validador: 'numero', min: 1, max: 5000, rotulo: 'Leitos', transicoes: [{ proximo: 'IDLE' }] }
+        }
+    };
+    const engine = new LunaFlowEngine(fluxo);
+    const ctx = novoContexto();
+
+    assert.equal((await engine.transition('TIPO', '2', ctx)).estado, 'LEITOS');
+    assert.equal(ctx.dados.tipoClinica, 'hospital');
+    assert.equal((await engine.transition('TIPO', 'clínica', novoContexto())).estado, 'IDLE');
+
+    const invalido = await engine.transition('LEITOS', 'muitos', ctx);
+    assert.equal(invalido.estado, 'LEITOS');
+    assert.match(invalido.resposta, /entre 1 e 5000/);
+
+    assert.equal((await engine.transition('LEITOS', '1.200 leitos', ctx)).estado, 'IDLE');
+    assert.equal(ctx.dados.leitos, 1200);
+    assert.equal(engine.summary(ctx.dados), 'Leitos: 1200');
+});
+
+test('LunaValidators.opcao aceita número, texto e sinônimo', () => {
+    const engine = new LunaFlowEngine(FLUXO);
+    const estado = { opcoes: [{ valor: 'manha', texto: 'Manhã' }, { valor: 'tarde', texto: 'Tarde', sinonimos: ['depois do almoço'] }] };
+
+    assert.equal(LunaValidators.opcao('1', estado, engine).value, 'manha');
+    assert.equal(LunaValidators.opcao('MANHÃ', estado, engine).value, 'manha');
+    assert.equal(LunaValidators.opcao('pode ser depois do almoco', estado, engine).value, 'tarde');
+    assert.equal(LunaValidators.opcao('3', estado, engine).valid, false);
+    assert.equal(LunaValidators.opcao('noite', estado, engine).valid, false);
+});
@@ -0,0 +1,77 @@
+/**
+ * Prazos de retenção de js/privacy-center.js (enforceRetention) com datas numéricas e ISO.
+ * Rodar na raiz do repositório: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PrivacyCenter } = require('../js/privacy-center.js');
+
+const DIA = 24 * 60 * 60 * 1000;
+const AGORA = Date.parse('2026-06-01T12:00:00Z');
+
+// localStorage/sessionStorage em memória, lidos por PrivacyCenter.storage() via window
+function criarStorage(itens = {}) {
+    const data = new Map(Object.entries(itens).map(([chave, valor]) => [chave, JSON.stringify(valor)]));
+    return {
+        get length() { return data.size; },
+        key: (i) => [...data.keys()][i] ?? null,
+        getItem: (chave) => (data.has(chave) ? data.get(chave) : null),
+        setItem: (chave, valor) => data.set(chave, String(valor)),
+        removeItem: (chave) => data.delete(chave)
+    };
+}
+
+function aplicar(itens) {
+    const localStorage = criarStorage(itens);
+    globalThis.window = { localStorage, sessionStorage: criarStorage() };
+    const alteradas = new PrivacyCenter().enforceRetention(AGORA);
+    return { alteradas, localStorage };
+}
+
+test.afterEach(() => {
+    delete globalThis.window;
+});
+
+test('PrivacyCenter.timestamp aceita número e texto ISO', () => {
+    assert.equal(PrivacyCenter.timestamp(AGORA), AGORA);
+    assert.equal(PrivacyCenter.timestamp('2026-06-01T12:00:00Z'), AGORA);
+    assert.ok(Number.isNaN(PrivacyCenter.timestamp(undefined)));
+});
+
+test('campo numérico dentro do prazo é mantido (rascunho e reunião futura)', () => {
+    const { alteradas, localStorage } = aplicar({
+        glx_contact_draft: { atualizadoEm: AGORA - DIA, dados: { nome: 'Ana' } },
+        glx_meeting: { protocolo: 'GLX-1', inicio: AGORA + 3 * DIA }
+    });
+
+    assert.deepEqual(alteradas.filter(chave => chave !== 'glx_storage_meta'), []);
+    assert.notEqual(localStorage.getItem('glx_contact_draft'), null);
+    assert.notEqual(localStorage.getItem('glx_meeting'), null);
+});
+
+test('campo numérico ou ISO fora do prazo é removido', () => {
+    const { alteradas, localStorage } = aplicar({
+        glx_meeting: { protocolo: 'GLX-1', inicio: AGORA - 31 * DIA },
+        glx_consent: { atualizadoEm: new Date(AGORA - 400 * DIA).toISOString() }
+    });
+
+    assert.ok(alteradas.includes('glx_meeting'));
+    assert.ok(alteradas.includes('glx_consent'));
+    assert.equal(localStorage.getItem('glx_meeting'), null);
+    assert.equal(localStorage.getItem('glx_consent'), null);
+});
+
+test('lista datada por item mantém só os itens no prazo', () => {
+    const { localStorage } = aplicar({
+        glx_lead_outbox: [
+            { leadId: 'novo', createdAt: new Date(AGORA - DIA).toISOString() },
+            { leadId: 'numerico', createdAt: AGORA - 2 * DIA },
+            { leadId: 'velho', createdAt: new Date(AGORA - 40 * DIA).toISOString() }
+        ]
+    });
+
+    const restantes = JSON.parse(localStorage.getItem('glx_lead_outbox')).map(item => item.leadId);
+    assert.deepEqual(restantes, ['novo', 'numerico']);
+});